@@ -3,7 +3,36 @@ const CONFIG_PARAMS = {
    WEBSERVER_URL  : "http://localhost:3000",
    SLAVE_PORT     : 4000,
    SLAVE_URL      : "http://localhost:4000",
-   HEALTH_REPORT_INTERVAL_MS : 10000
+   HEALTH_REPORT_INTERVAL_MS : 10000,
+   BUFFER_MAX_READINGS       : 10000,          // Readings a slave keeps while the master is unreachable
+   BUFFER_DROP_POLICY        : "drop-oldest",  // "drop-oldest" | "drop-newest"
+   STORE_RETENTION_DAYS      : 30,             // Master time-series store: days kept in total
+   STORE_RAW_DAYS            : 2,              // Days kept at full resolution before downsampling
+   STORE_DOWNSAMPLE_BUCKET_MS: 60000,          // Bucket width of downsampled data
+   MASTER_REQUEST_TIMEOUT_MS : 10000,           // Webserver requests relayed to the master (history, API)
+   CONTROL_TIMEOUT_MS        : 5000,            // Master waits this long for a slave to acknowledge a command
+   SLAVE_AUTH_MAX_SKEW_MS    : 300000,          // Age / clock skew accepted for a slave handshake token
+   SLAVE_AUTH_RETRY_MS       : 30000,           // A refused or disconnected-by-master slave tries again after this delay
+   MASTER_AUTH_RETRY_MS      : 30000,           // Same for the master when the webserver refuses its token
+   SESSION_TTL_MS            : 43200000,        // Dashboard login sessions expire after 12 hours
+   LIVENESS_STALE_AFTER_INTERVALS  : 1.5,       // Heartbeat intervals without health-status before a slave is pinged
+   LIVENESS_OFFLINE_AFTER_INTERVALS: 6,         // ... before an unresponsive slave is disconnected
+   LIVENESS_PING_TIMEOUT_MS        : 3000,      // Time a slave has to answer the master's liveness ping
+   CONFIG_RELOAD_DEBOUNCE_MS : 500,             // Master waits this long after the last change of its config file
+   CONFIG_HISTORY_MAX_VERSIONS : 200,           // Accepted master configurations kept for audit and rollback
+   SCHEDULER_TICK_MS         : 1000,            // How often the master's scheduler looks for due jobs
+   SCHEDULER_MISSED_AFTER_MS : 60000,           // A run this late (e.g. the master was down) is reported missed, not run
+   SUMMARY_WINDOWS_MS        : [60000, 900000], // Rolling windows of the master's reading summaries (1 and 15 minutes)
+   SUMMARY_PUBLISH_INTERVAL_MS : 10000,         // How often the master publishes the summaries
+   EXPORT_CHUNK_RECORDS      : 500,             // Records per chunk the master streams to the webserver for a data export
+   EXPORT_CHUNK_TIMEOUT_MS   : 30000,           // The master abandons an export when a chunk is not taken in this time
+   EXPORT_LINK_TTL_MS        : 60000,           // Lifetime of an unused one-time export download link
+   HEALTH_THRESHOLDS         : {                // Where a slave rates itself "degraded" / "error";
+      cpuPercent     : { degraded: 80,  error: 95 },   // a slave entry can override them with "health"
+      heapPercent    : { degraded: 80,  error: 95 },
+      eventLoopLagMs : { degraded: 200, error: 1000 },
+      diskFreeMb     : { degraded: 500, error: 50 }    // Lower is worse
+   }
 }
 
 module.exports = {
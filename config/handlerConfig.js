@@ -0,0 +1,109 @@
+/**
+ * Handler entries in master_config.json are either a plain type string ("temperature") or an object:
+ *
+ *   {
+ *     "type": "temperature",     // required
+ *     "driver": "simulator",     // driver from the slave's registry, see slave/drivers
+ *     "options": {},             // driver specific options
+ *     "intervalMs": 5000,        // sampling interval, a random 4-9 s when omitted
+ *     "unit": "°C",
+ *     "min": -10, "max": 50,     // nominal range, also used as the simulator's range
+ *     "precision": 1,            // decimals sent, 2 when omitted
+ *     "metadata": {}             // free-form, forwarded with every reading
+ *   }
+ */
+
+const DEFAULT_PRECISION = 2;
+const HANDLER_FIELDS = ["type", "driver", "options", "intervalMs", "unit", "min", "max", "precision", "metadata"];
+
+/**
+ * @method                                  - normalizeHandlerEntry
+ * @param {string|object} entry             - A handler entry from the configuration.
+ * @returns {object}                        - The entry in object form with every field present (null when not set).
+ * @summary                                 - Turns a string or partial object entry into the full handler config object.
+ *                                            Throws if the entry has no type.
+ * @date                                    - 19 - Oct - 2026
+ */
+function normalizeHandlerEntry(entry)
+{
+  const objEntry = typeof entry === "string" ? { type: entry } : entry || {};
+  if (typeof objEntry.type !== "string" || objEntry.type.trim() === "")
+  {
+    throw new Error(`Handler entry ${JSON.stringify(entry)} must have a 'type'.`);
+  }
+  return {
+    type: objEntry.type,
+    driver: objEntry.driver || null,
+    options: objEntry.options || {},
+    intervalMs: objEntry.intervalMs || null,
+    unit: objEntry.unit || null,
+    min: objEntry.min !== undefined ? objEntry.min : null,
+    max: objEntry.max !== undefined ? objEntry.max : null,
+    precision: objEntry.precision !== undefined ? objEntry.precision : DEFAULT_PRECISION,
+    metadata: objEntry.metadata || {},
+  };
+}
+
+/**
+ * @method                                  - validateHandlerEntry
+ * @param {*} entry                         - A handler entry from the configuration.
+ * @param {string} strPath                  - Where the entry is, used in the messages (e.g. 'config[0].handlers[1]').
+ * @returns {string[]}                      - One message per problem; empty when the entry is valid.
+ * @summary                                 - Checks a handler entry against the format described above.
+ * @date                                    - 19 - Oct - 2026
+ */
+function validateHandlerEntry(entry, strPath)
+{
+  const errors = [];
+  if (typeof entry === "string")
+  {
+    if (entry.trim() === "") errors.push(`${strPath}: handler type must not be empty.`);
+    return errors;
+  }
+  if (!isPlainObject(entry))
+  {
+    return [`${strPath}: must be a handler type string or an object.`];
+  }
+
+  Object.keys(entry).forEach((strKey) => {
+    if (!HANDLER_FIELDS.includes(strKey)) errors.push(`${strPath}.${strKey}: unknown field.`);
+  });
+  if (typeof entry.type !== "string" || entry.type.trim() === "")
+  {
+    errors.push(`${strPath}.type: is required and must be a non-empty string.`);
+  }
+  if (entry.driver !== undefined && (typeof entry.driver !== "string" || entry.driver === ""))
+  {
+    errors.push(`${strPath}.driver: must be a non-empty string.`);
+  }
+  ["options", "metadata"].forEach((strKey) => {
+    if (entry[strKey] !== undefined && !isPlainObject(entry[strKey])) errors.push(`${strPath}.${strKey}: must be an object.`);
+  });
+  if (entry.intervalMs !== undefined && !(typeof entry.intervalMs === "number" && entry.intervalMs > 0))
+  {
+    errors.push(`${strPath}.intervalMs: must be a positive number.`);
+  }
+  if (entry.unit !== undefined && typeof entry.unit !== "string")
+  {
+    errors.push(`${strPath}.unit: must be a string.`);
+  }
+  ["min", "max"].forEach((strKey) => {
+    if (entry[strKey] !== undefined && !Number.isFinite(entry[strKey])) errors.push(`${strPath}.${strKey}: must be a number.`);
+  });
+  if (Number.isFinite(entry.min) && Number.isFinite(entry.max) && entry.min >= entry.max)
+  {
+    errors.push(`${strPath}: min must be lower than max.`);
+  }
+  if (entry.precision !== undefined && !(Number.isInteger(entry.precision) && entry.precision >= 0 && entry.precision <= 10))
+  {
+    errors.push(`${strPath}.precision: must be an integer from 0 to 10.`);
+  }
+  return errors;
+}
+
+function isPlainObject(value)
+{
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+module.exports = { normalizeHandlerEntry, validateHandlerEntry, isPlainObject };
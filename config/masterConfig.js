@@ -0,0 +1,294 @@
+const { CONFIG_PARAMS } = require("./Config");
+const { validateHandlerEntry, isPlainObject } = require("./handlerConfig");
+const { stableStringify } = require("./stableStringify");
+
+/**
+ * master_config.json:
+ *
+ *   {
+ *     "config": [
+ *       {
+ *         "slaveIp": "192.168.1.10",                                    // required, unique
+ *         "tags": ["site:plant-a", "line:3"],                           // optional, select groups and commands
+ *         "handlers": ["temperature", { "type": "humidity", ... }],     // see handlerConfig.js; required unless
+ *                                                                       // a group of the slave has handlers
+ *         "buffer": { "maxReadings": 10000, "dropPolicy": "drop-oldest" },
+ *         "health": { "cpuPercent": { "degraded": 80, "error": 95 } }   // overrides of HEALTH_THRESHOLDS
+ *       }
+ *     ],
+ *     "groups": {                                                       // optional, keyed by tag
+ *       "line:3": { "handlers": ["vibration"], "buffer": { ... }, "health": { ... } }
+ *     },
+ *     "templates": {                                                    // optional, used to approve new slaves
+ *       "environment": { "tags": [...], "handlers": ["temperature", "humidity"], "buffer": { ... }, "health": { ... } }
+ *     }
+ *   }
+ *
+ * A slave inherits the settings of the groups of its tags, in the order of its tags, and its own entry overrides
+ * them (see resolveSlaveEntry): handlers are merged by type, buffer settings by field and health thresholds by
+ * metric and level.
+ */
+
+const SLAVE_FIELDS = ["slaveIp", "tags", "handlers", "buffer", "health"];
+const TEMPLATE_FIELDS = ["tags", "handlers", "buffer", "health"];
+const GROUP_FIELDS = ["handlers", "buffer", "health"];
+const BUFFER_FIELDS = ["maxReadings", "dropPolicy"];
+const DROP_POLICIES = ["drop-oldest", "drop-newest"];
+
+/**
+ * @method                                  - validateMasterConfig
+ * @param {*} config                        - The parsed master_config.json.
+ * @returns {string[]}                      - One message per problem, each starting with the path of the offending
+ *                                            value (e.g. 'config[1].handlers[0].type'); empty when the config is valid.
+ * @summary                                 - Checks the master configuration against the format above.
+ * @date                                    - 19 - Oct - 2026
+ */
+function validateMasterConfig(config)
+{
+  if (!isPlainObject(config) || !Array.isArray(config.config))
+  {
+    return ["config: the file must be an object with a 'config' array."];
+  }
+
+  const errors = [];
+  const seenIds = new Set();
+  config.config.forEach((entry, nIndex) => {
+    const strPath = `config[${nIndex}]`;
+    if (!isPlainObject(entry))
+    {
+      errors.push(`${strPath}: must be an object.`);
+      return;
+    }
+    // Handlers may all come from the slave's groups
+    const groups = isPlainObject(config.groups) ? config.groups : {};
+    const bInheritsHandlers = Array.isArray(entry.tags) &&
+      entry.tags.some((strTag) => isPlainObject(groups[strTag]) && groups[strTag].handlers !== undefined);
+    errors.push(...validateEntryBody(entry, strPath, SLAVE_FIELDS, !bInheritsHandlers));
+
+    if (typeof entry.slaveIp !== "string" || entry.slaveIp.trim() === "")
+    {
+      errors.push(`${strPath}.slaveIp: is required and must be a non-empty string.`);
+    }
+    else if (seenIds.has(entry.slaveIp))
+    {
+      errors.push(`${strPath}.slaveIp: '${entry.slaveIp}' is configured more than once.`);
+    }
+    else
+    {
+      seenIds.add(entry.slaveIp);
+    }
+  });
+
+  if (config.groups !== undefined)
+  {
+    if (!isPlainObject(config.groups))
+    {
+      errors.push("groups: must be an object of group settings keyed by tag.");
+    }
+    else
+    {
+      Object.keys(config.groups).forEach((strTag) => {
+        const group = config.groups[strTag];
+        const strPath = `groups.${strTag}`;
+        if (isPlainObject(group)) errors.push(...validateEntryBody(group, strPath, GROUP_FIELDS, false));
+        else errors.push(`${strPath}: must be an object.`);
+      });
+    }
+  }
+
+  if (config.templates !== undefined)
+  {
+    if (!isPlainObject(config.templates))
+    {
+      errors.push("templates: must be an object of named slave templates.");
+    }
+    else
+    {
+      Object.keys(config.templates).forEach((strName) => {
+        const template = config.templates[strName];
+        const strPath = `templates.${strName}`;
+        if (isPlainObject(template)) errors.push(...validateEntryBody(template, strPath, TEMPLATE_FIELDS, true));
+        else errors.push(`${strPath}: must be an object.`);
+      });
+    }
+  }
+  return errors;
+}
+
+// Fields shared by slave entries, groups and templates: tags, handlers, buffer and health
+function validateEntryBody(entry, strPath, allowedFields, bHandlersRequired)
+{
+  const errors = [];
+  Object.keys(entry).forEach((strKey) => {
+    if (!allowedFields.includes(strKey)) errors.push(`${strPath}.${strKey}: unknown field.`);
+  });
+
+  if (entry.tags !== undefined && allowedFields.includes("tags")) errors.push(...validateTags(entry.tags, `${strPath}.tags`));
+
+  if (entry.handlers === undefined)
+  {
+    if (bHandlersRequired) errors.push(`${strPath}.handlers: is required and must be an array.`);
+  }
+  else if (!Array.isArray(entry.handlers))
+  {
+    errors.push(`${strPath}.handlers: must be an array.`);
+  }
+  else
+  {
+    const seenTypes = new Set();
+    entry.handlers.forEach((handler, nHandler) => {
+      const strHandlerPath = `${strPath}.handlers[${nHandler}]`;
+      const handlerErrors = validateHandlerEntry(handler, strHandlerPath);
+      errors.push(...handlerErrors);
+      const strType = typeof handler === "string" ? handler : handler && handler.type;
+      if (handlerErrors.length === 0 && seenTypes.has(strType))
+      {
+        errors.push(`${strHandlerPath}: handler '${strType}' is configured more than once.`);
+      }
+      seenTypes.add(strType);
+    });
+  }
+
+  if (entry.buffer !== undefined) errors.push(...validateBuffer(entry.buffer, `${strPath}.buffer`));
+  if (entry.health !== undefined) errors.push(...validateHealth(entry.health, `${strPath}.health`));
+  return errors;
+}
+
+function validateTags(tags, strPath)
+{
+  if (!Array.isArray(tags)) return [`${strPath}: must be an array of strings.`];
+  const errors = [];
+  tags.forEach((strTag, nIndex) => {
+    if (typeof strTag !== "string" || strTag.trim() === "") errors.push(`${strPath}[${nIndex}]: must be a non-empty string.`);
+    else if (tags.indexOf(strTag) !== nIndex) errors.push(`${strPath}[${nIndex}]: '${strTag}' is listed more than once.`);
+  });
+  return errors;
+}
+
+function validateBuffer(buffer, strPath)
+{
+  if (!isPlainObject(buffer)) return [`${strPath}: must be an object.`];
+  const errors = [];
+  Object.keys(buffer).forEach((strKey) => {
+    if (!BUFFER_FIELDS.includes(strKey)) errors.push(`${strPath}.${strKey}: unknown field.`);
+  });
+  if (buffer.maxReadings !== undefined && !(Number.isInteger(buffer.maxReadings) && buffer.maxReadings > 0))
+  {
+    errors.push(`${strPath}.maxReadings: must be a positive integer.`);
+  }
+  if (buffer.dropPolicy !== undefined && !DROP_POLICIES.includes(buffer.dropPolicy))
+  {
+    errors.push(`${strPath}.dropPolicy: must be one of ${DROP_POLICIES.join(", ")}.`);
+  }
+  return errors;
+}
+
+function validateHealth(health, strPath)
+{
+  if (!isPlainObject(health)) return [`${strPath}: must be an object.`];
+  const errors = [];
+  const metrics = Object.keys(CONFIG_PARAMS.HEALTH_THRESHOLDS);
+  Object.keys(health).forEach((strMetric) => {
+    const limits = health[strMetric];
+    if (!metrics.includes(strMetric))
+    {
+      errors.push(`${strPath}.${strMetric}: unknown metric, expected one of ${metrics.join(", ")}.`);
+      return;
+    }
+    if (!isPlainObject(limits))
+    {
+      errors.push(`${strPath}.${strMetric}: must be an object with 'degraded' and / or 'error'.`);
+      return;
+    }
+    Object.keys(limits).forEach((strLevel) => {
+      if (strLevel !== "degraded" && strLevel !== "error") errors.push(`${strPath}.${strMetric}.${strLevel}: unknown field.`);
+      else if (!Number.isFinite(limits[strLevel])) errors.push(`${strPath}.${strMetric}.${strLevel}: must be a number.`);
+    });
+  });
+  return errors;
+}
+
+/**
+ * @method                                  - diffMasterConfigs
+ * @param {object|null} previous            - The configuration in use (null before the first load).
+ * @param {object} next                     - The new, validated configuration.
+ * @returns {object}                        - { added, removed, changed, unchanged }: slave IDs by what happened to
+ *                                            their entry, as resolved with its groups (a group change changes every
+ *                                            slave with its tag). Key order inside an entry does not count as a change.
+ * @summary                                 - Compares two master configurations slave by slave.
+ * @date                                    - 19 - Oct - 2026
+ */
+function diffMasterConfigs(previous, next)
+{
+  const byId = (config) => new Map(((config && config.config) || []).map((entry) => [entry.slaveIp, resolveSlaveEntry(config, entry)]));
+  const oldEntries = byId(previous);
+  const newEntries = byId(next);
+  const diff = { added: [], removed: [], changed: [], unchanged: [] };
+
+  newEntries.forEach((entry, strSlaveId) => {
+    if (!oldEntries.has(strSlaveId)) diff.added.push(strSlaveId);
+    else if (stableStringify(oldEntries.get(strSlaveId)) !== stableStringify(entry)) diff.changed.push(strSlaveId);
+    else diff.unchanged.push(strSlaveId);
+  });
+  oldEntries.forEach((entry, strSlaveId) => {
+    if (!newEntries.has(strSlaveId)) diff.removed.push(strSlaveId);
+  });
+  return diff;
+}
+
+/**
+ * @method                                  - describeConfigChanges
+ * @param {object|null} previous            - The older configuration.
+ * @param {object} next                     - The newer, validated configuration.
+ * @returns {object}                        - diffMasterConfigs' lists plus slaves, which maps every added, removed or
+ *                                            changed slave to { before, after }: its entries as written (null when
+ *                                            absent).
+ * @summary                                 - Compares two master configurations slave by slave, with the entries.
+ * @date                                    - 19 - Oct - 2026
+ */
+function describeConfigChanges(previous, next)
+{
+  const diff = diffMasterConfigs(previous, next);
+  const entryOf = (config, strSlaveId) => ((config && config.config) || []).find((entry) => entry.slaveIp === strSlaveId) || null;
+  const slaves = {};
+  diff.added.concat(diff.removed, diff.changed).forEach((strSlaveId) => {
+    slaves[strSlaveId] = { before: entryOf(previous, strSlaveId), after: entryOf(next, strSlaveId) };
+  });
+  return Object.assign(diff, { slaves: slaves });
+}
+
+/**
+ * @method                                  - resolveSlaveEntry
+ * @param {object} config                   - A validated master configuration.
+ * @param {object} entry                    - One of its slave entries.
+ * @returns {object}                        - { slaveIp, tags?, handlers, buffer?, health? }: the entry with the settings of
+ *                                            its groups filled in; this is what the slave receives.
+ * @summary                                 - Applies group inheritance. Groups are applied in the order of the slave's
+ *                                            tags and the slave's own fields last; a later handler of the same type
+ *                                            replaces an earlier one.
+ * @date                                    - 19 - Oct - 2026
+ */
+function resolveSlaveEntry(config, entry)
+{
+  const groups = (config && config.groups) || {};
+  const layers = (entry.tags || []).map((strTag) => groups[strTag]).filter(Boolean).concat([entry]);
+  const resolved = { slaveIp: entry.slaveIp };
+  if (entry.tags) resolved.tags = entry.tags;
+
+  const handlers = new Map(); // Type -> entry, in the order the types first appear
+  layers.forEach((layer) => (layer.handlers || []).forEach((handler) => {
+    handlers.set(typeof handler === "string" ? handler : handler.type, handler);
+  }));
+  resolved.handlers = Array.from(handlers.values());
+
+  layers.forEach((layer) => {
+    if (layer.buffer) resolved.buffer = Object.assign(resolved.buffer || {}, layer.buffer);
+    Object.keys(layer.health || {}).forEach((strMetric) => {
+      resolved.health = resolved.health || {};
+      resolved.health[strMetric] = Object.assign(resolved.health[strMetric] || {}, layer.health[strMetric]);
+    });
+  });
+  return resolved;
+}
+
+module.exports = { validateMasterConfig, diffMasterConfigs, describeConfigChanges, resolveSlaveEntry };
@@ -0,0 +1,37 @@
+const crypto = require("crypto");
+
+/**
+ * Slaves authenticate to the master in the Socket.IO handshake with { id, timestamp, signature }, where signature
+ * is the hex HMAC-SHA256 of "<id>.<timestamp>" keyed with the slave's secret. The secret never travels and a
+ * captured token is only valid within the master's allowed clock skew.
+ */
+
+/**
+ * @method                                  - signSlaveToken
+ * @param {string} strSecret                - The slave's secret (hex).
+ * @param {string} strSlaveId               - The slave ID.
+ * @param {number} nTimestamp               - Milliseconds since the epoch.
+ * @returns {string}                        - The hex signature.
+ * @summary                                 - Computes the token signature; used by the slave to sign and the master to verify.
+ * @date                                    - 19 - Oct - 2026
+ */
+function signSlaveToken(strSecret, strSlaveId, nTimestamp)
+{
+  return crypto.createHmac("sha256", Buffer.from(strSecret, "hex")).update(`${strSlaveId}.${nTimestamp}`).digest("hex");
+}
+
+/**
+ * @method                                  - createSlaveToken
+ * @param {string} strSlaveId               - The slave ID.
+ * @param {string} strSecret                - The slave's secret (hex).
+ * @returns {object}                        - { id, timestamp, signature } for the handshake 'auth' payload.
+ * @summary                                 - Builds a fresh token; called for every connection attempt.
+ * @date                                    - 19 - Oct - 2026
+ */
+function createSlaveToken(strSlaveId, strSecret)
+{
+  const nTimestamp = Date.now();
+  return { id: strSlaveId, timestamp: nTimestamp, signature: signSlaveToken(strSecret, strSlaveId, nTimestamp) };
+}
+
+module.exports = { signSlaveToken, createSlaveToken };
@@ -0,0 +1,18 @@
+/**
+ * @method                                  - stableStringify
+ * @param {*} value                         - Any JSON value.
+ * @returns {string}                        - JSON with object keys sorted, so equal values give equal strings.
+ * @summary                                 - Compares configurations on the master and the slave without regard to key order.
+ * @date                                    - 19 - Oct - 2026
+ */
+function stableStringify(value)
+{
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (typeof value === "object" && value !== null)
+  {
+    return `{${Object.keys(value).sort().map((strKey) => `${JSON.stringify(strKey)}:${stableStringify(value[strKey])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+module.exports = { stableStringify };
@@ -0,0 +1,23 @@
+import { defineBoot } from '#q-app/wrappers'
+import { socket } from '../services/socket.js'
+import { session, clearSession } from '../services/session.js'
+
+export default defineBoot(({ router }) => {
+  router.beforeEach((to) => {
+    if (to.meta.requiresAuth && !session.user) {
+      return { path: '/login', query: { redirect: to.fullPath } }
+    }
+  })
+
+  // The webserver refuses unknown and expired sessions in the handshake
+  socket.on('connect_error', (err) => {
+    if (err.message !== 'unauthorized') return
+    clearSession()
+    router.push('/login')
+  })
+
+  // Role and permissions as the webserver sees them
+  socket.on('session', (info) => {
+    if (session.user) Object.assign(session.user, info)
+  })
+})
@@ -1,10 +1,12 @@
 const CONFIG_PARAMS = {
-   WEBSERVER_PORT : 3000,
-   WEBSERVER_URL  : "http://localhost:3000",
-   SLAVE_PORT     : 4000,
-   SLAVE_URL      : "http://localhost:4000",
-   HEALTH_REPORT_INTERVAL_MS : 10000
+  WEBSERVER_PORT: 3000,
+  WEBSERVER_URL: 'http://localhost:3000',
+  SLAVE_PORT: 4000,
+  SLAVE_URL: 'http://localhost:4000',
+  HEALTH_REPORT_INTERVAL_MS: 10000,
+  HISTORY_QUERY_TIMEOUT_MS: 15000,
+  CONTROL_TIMEOUT_MS: 15000,
+  CONFIG_REQUEST_TIMEOUT_MS: 15000,
 }
 
-export default CONFIG_PARAMS;
-
+export default CONFIG_PARAMS
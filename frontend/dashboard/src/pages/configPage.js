@@ -0,0 +1,239 @@
+import { defineComponent } from 'vue'
+import { socket, listen, masterConfigRequest } from '../services/socket.js'
+import { can } from '../services/session.js'
+
+// Badge colour of each kind of change in the review
+const CHANGE_COLORS = {
+  added: 'positive',
+  changed: 'primary',
+  removed: 'negative',
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value))
+}
+
+function handlerType(handler) {
+  return typeof handler === 'string' ? handler : handler.type
+}
+
+/**
+ * Checks the edited slave entries before they go to the master, which validates everything again.
+ * @param {object} config - The draft configuration.
+ * @returns {object[]} Per slave entry, { slaveIp, handlers }: an error message or ''.
+ */
+function checkEntries(config) {
+  const groups = config.groups || {}
+  const counts = {}
+  config.config.forEach((entry) => (counts[entry.slaveIp] = (counts[entry.slaveIp] || 0) + 1))
+
+  return config.config.map((entry) => {
+    const errors = { slaveIp: '', handlers: '' }
+    if (!entry.slaveIp) errors.slaveIp = 'Required.'
+    else if (/\s/.test(entry.slaveIp)) errors.slaveIp = 'Must not contain spaces.'
+    else if (counts[entry.slaveIp] > 1) errors.slaveIp = 'Another slave has this ID.'
+
+    // A slave may leave its handlers to the groups of its tags
+    const inherited = (entry.tags || []).some((tag) => groups[tag] && groups[tag].handlers)
+    if ((!entry.handlers || entry.handlers.length === 0) && !inherited) {
+      errors.handlers = 'Add at least one handler, or a tag whose group has handlers.'
+    }
+    return errors
+  })
+}
+
+/**
+ * Summarizes how one slave entry changes, for the review before saving.
+ * @param {object|null} before
+ * @param {object|null} after
+ * @returns {object} { handlersAdded, handlersRemoved, tagsAdded, tagsRemoved, otherChanged }
+ */
+function describeEntryChange(before, after) {
+  const types = (entry) => ((entry && entry.handlers) || []).map(handlerType)
+  const tags = (entry) => (entry && entry.tags) || []
+  const minus = (a, b) => a.filter((item) => !b.includes(item))
+  const rest = (entry) =>
+    JSON.stringify({ ...entry, slaveIp: undefined, tags: undefined, handlers: undefined })
+  // Settings of the handlers the slave keeps
+  const common = types(before).filter((type) => types(after).includes(type))
+  const settings = (entry) =>
+    JSON.stringify(
+      (entry.handlers || []).filter((handler) => common.includes(handlerType(handler))),
+    )
+  return {
+    handlersAdded: minus(types(after), types(before)),
+    handlersRemoved: minus(types(before), types(after)),
+    tagsAdded: minus(tags(after), tags(before)),
+    tagsRemoved: minus(tags(before), tags(after)),
+    // Handler settings, buffer or health thresholds
+    otherChanged:
+      !!before && !!after && (rest(before) !== rest(after) || settings(before) !== settings(after)),
+  }
+}
+
+export default defineComponent({
+  name: 'ConfigPage',
+
+  data() {
+    return {
+      loaded: null, // { config, version } as the master runs it
+      draft: null, // The edited copy of loaded.config
+      preview: null, // The master's answer to the last review: { ok, errors, version, diff }
+      comment: '',
+      loading: false,
+      saving: false,
+      error: '',
+      saveErrors: [],
+      savedVersion: null,
+    }
+  },
+
+  computed: {
+    canEdit() {
+      return can('config')
+    },
+
+    dirty() {
+      return !!this.draft && JSON.stringify(this.draft) !== JSON.stringify(this.loaded.config)
+    },
+
+    entryErrors() {
+      return this.draft ? checkEntries(this.draft) : []
+    },
+
+    hasEntryErrors() {
+      return this.entryErrors.some((errors) => errors.slaveIp || errors.handlers)
+    },
+
+    // Handler types used anywhere in the configuration, offered when editing a slave's list
+    knownHandlerTypes() {
+      if (!this.draft) return []
+      const types = new Set()
+      const add = (layer) => (layer.handlers || []).forEach((h) => types.add(handlerType(h)))
+      this.draft.config.forEach(add)
+      Object.values(this.draft.templates || {}).forEach(add)
+      Object.values(this.draft.groups || {}).forEach(add)
+      return Array.from(types).sort()
+    },
+
+    changes() {
+      if (!this.preview || !this.preview.diff) return []
+      const { added, removed, changed, slaves } = this.preview.diff
+      return [
+        ...added.map((id) => ({ id, kind: 'added' })),
+        ...changed.map((id) => ({ id, kind: 'changed' })),
+        ...removed.map((id) => ({ id, kind: 'removed' })),
+      ].map((change) => ({
+        ...change,
+        ...describeEntryChange(slaves[change.id].before, slaves[change.id].after),
+      }))
+    },
+  },
+
+  watch: {
+    // A review only holds for what was reviewed
+    draft: {
+      deep: true,
+      handler() {
+        this.preview = null
+        this.saveErrors = []
+      },
+    },
+  },
+
+  methods: {
+    changeColor(kind) {
+      return CHANGE_COLORS[kind]
+    },
+
+    handlerTypes(entry) {
+      return (entry.handlers || []).map(handlerType)
+    },
+
+    // Keeps the settings of handlers that stay; new types are added with their defaults
+    setHandlerTypes(entry, types) {
+      const current = entry.handlers || []
+      entry.handlers = types.map((type) => current.find((h) => handlerType(h) === type) || type)
+    },
+
+    hasSettings(entry, type) {
+      return (entry.handlers || []).some((h) => typeof h !== 'string' && h.type === type)
+    },
+
+    addSlave() {
+      this.draft.config.push({ slaveIp: '', tags: [], handlers: [] })
+    },
+
+    removeSlave(index) {
+      this.draft.config.splice(index, 1)
+    },
+
+    // Drops the empty tag lists the editor adds, so an untouched entry saves as it was
+    cleanDraft() {
+      const config = clone(this.draft)
+      config.config.forEach((entry) => {
+        if (entry.tags && entry.tags.length === 0) delete entry.tags
+      })
+      return config
+    },
+
+    async load() {
+      this.loading = true
+      this.error = ''
+      try {
+        const response = await masterConfigRequest({ action: 'get' })
+        this.loaded = response
+        this.draft = clone(response.config)
+        this.draft.config.forEach((entry) => {
+          if (!entry.tags) entry.tags = []
+        })
+        this.loaded.config = clone(this.draft)
+      } catch (err) {
+        this.error = err.message
+      } finally {
+        this.loading = false
+      }
+    },
+
+    async review() {
+      this.error = ''
+      this.savedVersion = null
+      try {
+        this.preview = await masterConfigRequest({ action: 'preview', config: this.cleanDraft() })
+      } catch (err) {
+        this.error = err.message
+      }
+    },
+
+    async save() {
+      this.saving = true
+      this.saveErrors = []
+      try {
+        const result = await masterConfigRequest({
+          action: 'save',
+          config: this.cleanDraft(),
+          baseVersion: this.loaded.version,
+          comment: this.comment || undefined,
+        })
+        this.savedVersion = result.version
+        this.comment = ''
+        await this.load()
+      } catch (err) {
+        this.saveErrors = err.errors || [err.message]
+      } finally {
+        this.saving = false
+      }
+    },
+  },
+
+  mounted() {
+    // After a reconnect the configuration may have changed; unsaved edits are kept
+    this.stopListening = [listen('connect', () => !this.dirty && this.load())]
+    if (socket.connected) this.load()
+    else socket.connect()
+  },
+
+  beforeUnmount() {
+    this.stopListening.forEach((stop) => stop())
+  },
+})
@@ -1,8 +1,40 @@
 import { defineComponent } from 'vue'
-import { io } from 'socket.io-client'
-import CONFIG_PARAMS from '../config/Config.js'
-// Establish the socket connection
-const socket = io(CONFIG_PARAMS.WEBSERVER_URL);
+import { socket, listen, sendControl } from '../services/socket.js'
+import { can } from '../services/session.js'
+
+const MAX_AUTH_REJECTIONS = 5 // Refused slave handshakes kept on screen
+
+// Badge colour of each slave state reported by the master
+const STATUS_COLORS = {
+  online: 'positive',
+  stale: 'warning',
+  unresponsive: 'orange-9',
+  offline: 'negative',
+}
+
+// Colour of each control command outcome; anything else is a failure
+const OUTCOME_COLORS = {
+  success: 'positive',
+  partial: 'warning',
+}
+
+// Actions that interrupt data collection and are confirmed first
+const DESTRUCTIVE_ACTIONS = ['stop', 'restart']
+
+const ACTION_ICONS = {
+  start: 'play_arrow',
+  stop: 'stop',
+  restart: 'restart_alt',
+}
+
+const HEALTH_HANDLER_KEY = 'health-check' // Listed among a slave's running handlers, but not a sensor
+
+// Colour of the health status each slave reports about itself
+const HEALTH_COLORS = {
+  online: 'positive',
+  degraded: 'warning',
+  error: 'negative',
+}
 
 export default defineComponent({
   name: 'IndexPage',
@@ -11,6 +43,9 @@ export default defineComponent({
     return {
       masterStatus: 'offline',
       slaves: {},
+      authRejections: [], // Most recent first, see MAX_AUTH_REJECTIONS
+      configErrors: [], // Why the master rejected its config file; empty once a valid one is loaded
+      pending: {}, // Commands waiting for their result, see commandKey
     }
   },
 
@@ -20,66 +55,232 @@ export default defineComponent({
     },
   },
 
-  mounted() {
-    // --- Socket.IO Event Listeners ---
+  methods: {
+    statusColor(status) {
+      return STATUS_COLORS[status] || 'grey'
+    },
 
-    socket.on('connect', () => {
-      console.log('[UI] SUCCESS: Connected to webserver.')
-    });
+    healthColor(status) {
+      return HEALTH_COLORS[status] || 'grey'
+    },
 
-    socket.on('disconnect', () => {
-      console.error('[UI] ERROR: Disconnected from webserver.')
-      this.masterStatus = 'offline'
-      Object.keys(this.slaves).forEach((id) => (this.slaves[id].status = 'offline'))
-    });
+    formatUptime(seconds) {
+      const hours = Math.floor(seconds / 3600)
+      const minutes = Math.floor((seconds % 3600) / 60)
+      return hours > 0 ? `${hours} h ${minutes} min` : `${minutes} min`
+    },
 
-    socket.on('connect_error', (err) => {
-      console.error('[UI] ERROR: Connection to webserver failed:', err.message)
-    });
+    formatMb(value) {
+      return value === null || value === undefined ? 'n/a' : `${value} MB`
+    },
 
-    socket.on('master-status', (data) => {
-      this.masterStatus = data.status
-    });
+    can,
 
-    socket.on('data-ui', (data) => {
-      if (!data || !data.slaveIp) {
-        console.warn('[UI] Received invalid data packet:', data)
-        return
-      }
+    actionIcon(action) {
+      return ACTION_ICONS[action]
+    },
+
+    outcomeColor(outcome) {
+      return OUTCOME_COLORS[outcome] ? `text-${OUTCOME_COLORS[outcome]}` : 'text-negative'
+    },
+
+    commandKey(slaveId, action, handler) {
+      return `${slaveId}|${action}|${handler || ''}`
+    },
+
+    // Whether a command for the slave, or for one of its handlers, is still running
+    isBusy(slaveId, handler) {
+      return Object.keys(this.pending).some((key) => {
+        const [id, , pendingHandler] = key.split('|')
+        return id === slaveId && (handler === undefined || pendingHandler === handler)
+      })
+    },
 
-      // Initialize slave object if it doesn't exist
-      if (!this.slaves[data.slaveIp]) {
-        this.slaves[data.slaveIp] = {
-          id: data.slaveIp,
-          status: 'offline',
-          lastSeen: Date.now(),
-          handlers: {},
+    isRunning(slave, handler) {
+      return slave.running === null || slave.running.includes(handler)
+    },
+
+    // Stop and restart are confirmed first, as the slave sends no readings meanwhile
+    control(slave, action, handler) {
+      if (!DESTRUCTIVE_ACTIONS.includes(action)) return this.runCommand(slave, action, handler)
+      const target = handler ? `the ${handler} handler of slave ${slave.id}` : `slave ${slave.id}`
+      this.$q
+        .dialog({
+          title: `${action[0].toUpperCase()}${action.slice(1)} ${handler || 'slave'}?`,
+          message: `This ${action === 'stop' ? 'stops' : 'restarts'} ${target}; readings pause until it runs again.`,
+          cancel: true,
+          persistent: true,
+          ok: { label: action, color: 'negative', flat: true },
+        })
+        .onOk(() => this.runCommand(slave, action, handler))
+    },
+
+    // The webserver's last known state of the fleet, sent on every (re)connect before live packets
+    applySnapshot(snapshot) {
+      this.masterStatus = snapshot.master
+      const slaves = {}
+      snapshot.slaves.forEach((entry) => {
+        const handlers = {}
+        Object.keys(entry.handlers).forEach((type) => {
+          const handler = entry.handlers[type]
+          handlers[type] = {
+            value: handler.value,
+            unit: handler.unit || '',
+            metadata: handler.metadata || {},
+          }
+        })
+        slaves[entry.id] = {
+          id: entry.id,
+          status: entry.status,
+          statusReason: entry.statusReason || '',
+          health: entry.health && {
+            status: entry.health.status,
+            reasons: entry.health.reasons,
+            metrics: entry.health.metrics,
+            lastError: entry.health.lastError,
+          },
+          lastSeen: entry.lastSeen,
+          handlers,
+          running: entry.health ? Object.keys(entry.health.handlers) : null,
+          lastCommand: this.slaves[entry.id] ? this.slaves[entry.id].lastCommand : null,
         }
+      })
+      this.slaves = slaves
+    },
+
+    async runCommand(slave, action, handler) {
+      const key = this.commandKey(slave.id, action, handler)
+      if (this.pending[key]) return
+      this.pending[key] = true
+      const command = { slaveId: slave.id, action }
+      if (handler) command.handler = handler
+      try {
+        const result = await sendControl(command)
+        if (Array.isArray(result.handlers)) {
+          slave.running = result.handlers.filter((type) => type !== HEALTH_HANDLER_KEY)
+        }
+        slave.lastCommand = {
+          label: handler ? `${action} ${handler}` : action,
+          outcome: result.outcome,
+          message: result.message || '',
+          at: Date.now(),
+        }
+      } finally {
+        delete this.pending[key]
       }
+    },
+  },
+
+  mounted() {
+    // --- Socket.IO Event Listeners ---
+    this.stopListening = [
+      listen('connect', () => {
+        console.log('[UI] SUCCESS: Connected to webserver.')
+      }),
+
+      listen('disconnect', () => {
+        console.error('[UI] ERROR: Disconnected from webserver.')
+        this.masterStatus = 'offline'
+        Object.keys(this.slaves).forEach((id) => (this.slaves[id].status = 'offline'))
+      }),
+
+      listen('connect_error', (err) => {
+        console.error('[UI] ERROR: Connection to webserver failed:', err.message)
+      }),
+
+      listen('master-status', (data) => {
+        this.masterStatus = data.status
+      }),
+
+      listen('fleet-snapshot', (snapshot) => {
+        this.applySnapshot(snapshot)
+      }),
+
+      listen('config-status', (status) => {
+        this.configErrors = status.ok ? [] : status.errors
+      }),
 
-      const slave = this.slaves[data.slaveIp]
-      slave.lastSeen = data.timestamp || Date.now()
+      listen('slave-auth-rejected', (rejection) => {
+        console.warn('[UI] Master refused a slave:', rejection)
+        this.authRejections = [rejection, ...this.authRejections].slice(0, MAX_AUTH_REJECTIONS)
+      }),
 
-      // Handle status updates or sensor data
-      if (data.status) {
-        slave.status = data.status
-      } else if (data.handler && data.value !== undefined) {
-        slave.status = 'online' // If we get data, it's online
+      listen('data-ui', (data) => {
+        if (!data || !data.slaveIp) {
+          console.warn('[UI] Received invalid data packet:', data)
+          return
+        }
 
-        if (!slave.handlers[data.handler]) {
-          slave.handlers[data.handler] = {}
+        // Initialize slave object if it doesn't exist
+        if (!this.slaves[data.slaveIp]) {
+          this.slaves[data.slaveIp] = {
+            id: data.slaveIp,
+            status: 'unknown',
+            statusReason: '',
+            health: null,
+            lastSeen: Date.now(),
+            handlers: {},
+            running: null, // Running handler types, once a health report or command result told
+            lastCommand: null, // { label, outcome, message, at } of the last control command from here
+          }
         }
 
-        slave.handlers[data.handler].value = data.value
-        slave.handlers[data.handler].updated = true // For animation flash
+        const slave = this.slaves[data.slaveIp]
+        slave.lastSeen = data.timestamp || Date.now()
 
-        // Reset the flash animation
-        setTimeout(() => {
-          if (slave.handlers[data.handler]) {
-            slave.handlers[data.handler].updated = false
+        // Handle health reports, status updates or sensor data
+        if (data.metrics) {
+          // The slave's own rating, kept apart from the connection state the master reports
+          slave.health = {
+            status: data.status,
+            reasons: data.reasons || [],
+            metrics: data.metrics,
+            lastError: data.lastError || null,
           }
-        }, 700)
-      }
-    });
+          slave.running = Object.keys(data.handlers || {})
+          slave.running.forEach((type) => {
+            // Listed before its first reading, so it can be controlled
+            if (!slave.handlers[type])
+              slave.handlers[type] = { value: null, unit: '', metadata: {} }
+          })
+          if (slave.status === 'unknown') slave.status = 'online'
+        } else if (data.status) {
+          // State changes carry the master's reason; heartbeats only confirm 'online'
+          if (data.status !== slave.status || data.reason) slave.statusReason = data.reason || ''
+          slave.status = data.status
+        } else if (data.handler && data.value !== undefined) {
+          if (slave.status === 'unknown') slave.status = 'online' // Data before any state report
+
+          if (!slave.handlers[data.handler]) {
+            slave.handlers[data.handler] = {}
+          }
+
+          slave.handlers[data.handler].value = data.value
+          slave.handlers[data.handler].unit = data.unit || ''
+          slave.handlers[data.handler].metadata = data.metadata || {}
+          slave.handlers[data.handler].updated = true // For animation flash
+
+          // Reset the flash animation
+          setTimeout(() => {
+            if (slave.handlers[data.handler]) {
+              slave.handlers[data.handler].updated = false
+            }
+          }, 700)
+        }
+      }),
+    ]
+
+    // Connect once the listeners are in place, so the first master-status is not missed
+    socket.connect()
+  },
+
+  // The layout keeps this page alive while a slave's detail page is open, so its listeners and the
+  // fleet stay in place; after a logout and a new login the connection has to be opened again
+  activated() {
+    socket.connect()
+  },
+
+  beforeUnmount() {
+    this.stopListening.forEach((stop) => stop())
   },
-})
\ No newline at end of file
+})
@@ -0,0 +1,31 @@
+import { defineComponent } from 'vue'
+import { login } from '../services/session.js'
+
+export default defineComponent({
+  name: 'LoginPage',
+
+  data() {
+    return {
+      username: '',
+      password: '',
+      error: '',
+      loading: false,
+    }
+  },
+
+  methods: {
+    async submit() {
+      this.loading = true
+      this.error = ''
+      try {
+        await login(this.username, this.password)
+        this.$router.replace(this.$route.query.redirect || '/')
+      } catch (err) {
+        this.error = err.message
+      } finally {
+        this.loading = false
+        this.password = ''
+      }
+    },
+  },
+})
@@ -0,0 +1,324 @@
+import { defineComponent } from 'vue'
+import { socket, listen, queryHistory } from '../services/socket.js'
+import TimeSeriesChart from '../components/TimeSeriesChart.vue'
+import ExportMenu from '../components/ExportMenu.vue'
+
+const MINUTE_MS = 60 * 1000
+const HOUR_MS = 60 * MINUTE_MS
+
+const RANGES = [
+  { label: '15 min', value: 15 * MINUTE_MS },
+  { label: '1 h', value: HOUR_MS },
+  { label: '6 h', value: 6 * HOUR_MS },
+  { label: '24 h', value: 24 * HOUR_MS },
+  { label: '7 d', value: 7 * 24 * HOUR_MS },
+]
+
+const RAW_MAX_SPAN_MS = 30 * MINUTE_MS // Longer ranges are loaded as per-bucket means
+const MAX_POINTS = 300 // Per handler and chart
+const LIVE_TICK_MS = 5000 // How often the live window slides
+
+// Liveness states from the master that are drawn as bands; 'online' ends them
+const LIVENESS_BANDS = { offline: 'offline', unresponsive: 'unresponsive', stale: 'unresponsive' }
+
+// Health ratings from the slave itself that are drawn as bands
+const HEALTH_BANDS = ['degraded', 'error']
+
+const STATUS_COLORS = {
+  online: 'positive',
+  stale: 'warning',
+  unresponsive: 'orange-9',
+  offline: 'negative',
+}
+
+const HEALTH_COLORS = {
+  online: 'positive',
+  degraded: 'warning',
+  error: 'negative',
+}
+
+/**
+ * Turns health records (as stored by the master or received live) into annotation bands.
+ * @param {object[]} records - { timestamp, status, reason?, metrics?, reasons? }, oldest first
+ * @param {number} end - Where bands that are still open end.
+ * @returns {object[]} { from, to, kind, label }
+ */
+function buildBands(records, end) {
+  const bands = []
+  let liveness = null // Open disconnect band
+  let health = null // Open degraded / error band
+
+  records.forEach((record) => {
+    const t = Date.parse(record.timestamp)
+    if (record.metrics) {
+      // A health report: the slave is connected, and rates itself
+      if (liveness) bands.push({ ...liveness, to: t })
+      liveness = null
+      if (health && health.kind !== record.status) {
+        bands.push({ ...health, to: t })
+        health = null
+      }
+      if (!health && HEALTH_BANDS.includes(record.status)) {
+        health = {
+          from: t,
+          kind: record.status,
+          label: `${record.status}: ${record.reasons.join('; ')}`,
+        }
+      }
+    } else if (record.reason) {
+      // A state change from the master's liveness monitor
+      const kind = LIVENESS_BANDS[record.status]
+      if (liveness && liveness.kind !== kind) {
+        bands.push({ ...liveness, to: t })
+        liveness = null
+      }
+      if (!liveness && kind)
+        liveness = { from: t, kind, label: `${record.status}: ${record.reason}` }
+    }
+  })
+  if (liveness) bands.push({ ...liveness, to: end })
+  if (health) bands.push({ ...health, to: end })
+  return bands
+}
+
+/**
+ * Adds a live reading to a handler's points, keeping them in time order (replayed readings arrive late).
+ * When the range was loaded as per-bucket means, the reading is merged into its bucket instead.
+ * @param {object[]} points - { t, value, min?, max?, count? }, oldest first
+ * @param {number} t
+ * @param {number} value
+ * @param {number|null} bucketMs - Bucket width of the loaded points, null for raw readings.
+ */
+function addLivePoint(points, t, value, bucketMs) {
+  const start = bucketMs ? Math.floor(t / bucketMs) * bucketMs : t
+  let index = points.length
+  while (index > 0 && points[index - 1].t > start) index--
+
+  const bucket = bucketMs && index > 0 && points[index - 1].t === start ? points[index - 1] : null
+  if (bucket) {
+    const count = bucket.count || 1
+    bucket.value = (bucket.value * count + value) / (count + 1)
+    bucket.min = Math.min(bucket.min ?? bucket.value, value)
+    bucket.max = Math.max(bucket.max ?? bucket.value, value)
+    bucket.count = count + 1
+  } else if (bucketMs) {
+    points.splice(index, 0, { t: start, value, min: value, max: value, count: 1 })
+  } else {
+    points.splice(index, 0, { t, value })
+  }
+}
+
+export default defineComponent({
+  name: 'SlavePage',
+
+  components: { TimeSeriesChart, ExportMenu },
+
+  data() {
+    return {
+      ranges: RANGES,
+      rangeMs: HOUR_MS,
+      zoom: null, // { from, to } chosen by dragging across a chart; stops following live data
+      now: Date.now(),
+      handlers: {}, // Handler type -> { unit, points: [{ t, value, min?, max? }] }
+      healthRecords: [],
+      status: 'unknown',
+      statusReason: '',
+      health: null,
+      bucketMs: null, // Bucket width of the loaded readings; null when they are raw
+      loading: false,
+      error: '',
+    }
+  },
+
+  computed: {
+    slaveId() {
+      return this.$route.params.id
+    },
+
+    live() {
+      return !this.zoom
+    },
+
+    from() {
+      return this.zoom ? this.zoom.from : this.now - this.rangeMs
+    },
+
+    to() {
+      return this.zoom ? this.zoom.to : this.now
+    },
+
+    handlerTypes() {
+      return Object.keys(this.handlers).sort()
+    },
+
+    bands() {
+      return buildBands(this.healthRecords, this.to)
+    },
+  },
+
+  watch: {
+    slaveId(slaveId) {
+      if (!slaveId) return // Leaving the page
+      this.zoom = null
+      this.status = 'unknown'
+      this.health = null
+      this.load()
+    },
+  },
+
+  methods: {
+    statusColor(status) {
+      return STATUS_COLORS[status] || 'grey'
+    },
+
+    healthColor(status) {
+      return HEALTH_COLORS[status] || 'grey'
+    },
+
+    selectRange(rangeMs) {
+      this.rangeMs = rangeMs
+      this.resetZoom()
+    },
+
+    onZoom(range) {
+      this.zoom = range
+      this.load()
+    },
+
+    resetZoom() {
+      this.zoom = null
+      this.now = Date.now()
+      this.load()
+    },
+
+    async load() {
+      const loadId = (this.loadId || 0) + 1
+      this.loadId = loadId // A newer load (e.g. another zoom) makes this one's results obsolete
+      const from = this.from
+      const to = this.to
+      const span = to - from
+      const bucketMs = span > RAW_MAX_SPAN_MS ? Math.ceil(span / MAX_POINTS / 1000) * 1000 : null
+      const range = {
+        slaveId: this.slaveId,
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+      }
+
+      this.loading = true
+      this.error = ''
+      try {
+        const [readings, healthRecords] = await Promise.all([
+          queryHistory({
+            ...range,
+            kind: 'sensor',
+            bucketMs: bucketMs || undefined,
+            limit: 50000,
+          }),
+          queryHistory({ ...range, kind: 'health', limit: 5000 }),
+        ])
+        if (loadId !== this.loadId) return
+
+        const handlers = {}
+        readings.forEach((record) => {
+          if (!handlers[record.handler])
+            handlers[record.handler] = { unit: record.unit || '', points: [] }
+          const point = { t: Date.parse(record.timestamp), value: record.value }
+          if (record.bucketMs) {
+            point.min = record.min
+            point.max = record.max
+            point.count = record.count
+          }
+          handlers[record.handler].points.push(point)
+        })
+        this.handlers = handlers
+        this.bucketMs = bucketMs
+        this.healthRecords = healthRecords
+        if (this.status === 'unknown') this.applyLatestState(healthRecords)
+      } catch (err) {
+        if (loadId === this.loadId) this.error = err.message
+      } finally {
+        if (loadId === this.loadId) this.loading = false
+      }
+    },
+
+    // Status and health badges from history, until live packets arrive
+    applyLatestState(records) {
+      for (let i = records.length - 1; i >= 0; i--) {
+        if (records[i].metrics && !this.health) {
+          this.health = { status: records[i].status, reasons: records[i].reasons || [] }
+        }
+        if (records[i].reason && this.status === 'unknown') {
+          this.status = records[i].status
+          this.statusReason = records[i].reason
+        }
+      }
+    },
+
+    onData(data) {
+      if (!data || data.slaveIp !== this.slaveId) return
+
+      if (data.metrics || data.reason) {
+        this.healthRecords.push({
+          timestamp: data.timestamp,
+          status: data.status,
+          reason: data.reason,
+          metrics: data.metrics,
+          reasons: data.reasons || [],
+        })
+        if (data.metrics) {
+          this.health = { status: data.status, reasons: data.reasons || [] }
+          if (this.status === 'unknown') this.status = 'online'
+        } else {
+          this.status = data.status
+          this.statusReason = data.reason
+        }
+      } else if (data.handler && data.value !== undefined && this.live) {
+        if (!this.handlers[data.handler])
+          this.handlers[data.handler] = { unit: data.unit || '', points: [] }
+        const t = Date.parse(data.timestamp) || Date.now()
+        addLivePoint(this.handlers[data.handler].points, t, data.value, this.bucketMs)
+      }
+    },
+
+    // Slides the live window and drops what fell out of it
+    tick() {
+      if (!this.live) return
+      this.now = Date.now()
+      // Index of the first item at or after a time; the length if there is none
+      const firstFrom = (items, time, timeOf) => {
+        const index = items.findIndex((item) => timeOf(item) >= time)
+        return index === -1 ? items.length : index
+      }
+      // The bucket the window starts in is still partly visible
+      const start = this.bucketMs ? this.from - this.bucketMs : this.from
+      Object.values(this.handlers).forEach((handler) => {
+        handler.points.splice(
+          0,
+          firstFrom(handler.points, start, (p) => p.t),
+        )
+      })
+      // The last record before the window tells which bands are open at its start
+      const first = firstFrom(this.healthRecords, this.from, (r) => Date.parse(r.timestamp))
+      if (first > 1) this.healthRecords.splice(0, first - 1)
+    },
+  },
+
+  mounted() {
+    this.stopListening = [
+      listen('data-ui', this.onData),
+      // Live data missed while disconnected is in the master's store
+      listen('connect', () => {
+        if (this.live) this.resetZoom()
+      }),
+    ]
+    this.tickTimer = setInterval(this.tick, LIVE_TICK_MS)
+    // The fleet page opens the connection, unless this page was loaded directly; then 'connect' loads
+    if (socket.connected) this.load()
+    else socket.connect()
+  },
+
+  beforeUnmount() {
+    this.stopListening.forEach((stop) => stop())
+    clearInterval(this.tickTimer)
+  },
+})
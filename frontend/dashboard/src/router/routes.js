@@ -2,7 +2,20 @@ const routes = [
   {
     path: '/',
     component: () => import('layouts/MainLayout.vue'),
-    children: [{ path: '', component: () => import('pages/IndexPage.vue') }],
+    children: [
+      { path: '', component: () => import('pages/IndexPage.vue'), meta: { requiresAuth: true } },
+      {
+        path: 'slaves/:id',
+        component: () => import('pages/SlavePage.vue'),
+        meta: { requiresAuth: true },
+      },
+      {
+        path: 'config',
+        component: () => import('pages/ConfigPage.vue'),
+        meta: { requiresAuth: true },
+      },
+      { path: 'login', component: () => import('pages/LoginPage.vue') },
+    ],
   },
 
   // Always leave this as last one,
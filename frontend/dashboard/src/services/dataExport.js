@@ -0,0 +1,36 @@
+import CONFIG_PARAMS from '../config/Config.js'
+import { session } from './session.js'
+
+/**
+ * Downloads sensor readings from the webserver's export API. The webserver hands out a one-time link
+ * that the browser follows itself, so the file streams to disk instead of being collected in the page.
+ * @param {object} options - { format: 'csv' | 'ndjson', slaveId?, handler?, from?, to? } (from / to in ms)
+ * @returns {Promise<void>} Rejected with the webserver's error message when it refuses the export.
+ */
+export async function downloadExport({ format, slaveId, handler, from, to }) {
+  const response = await fetch(`${CONFIG_PARAMS.WEBSERVER_URL}/api/export/link`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${session.user ? session.user.token : ''}`,
+    },
+    body: JSON.stringify({
+      format,
+      slaveId: slaveId || undefined,
+      handler: handler || undefined,
+      from: from !== undefined ? new Date(from).toISOString() : undefined,
+      to: to !== undefined ? new Date(to).toISOString() : undefined,
+    }),
+  })
+  const body = await response.json().catch(() => ({}))
+  if (!response.ok) throw new Error(body.error || `Export failed (${response.status}).`)
+
+  // The file comes as an attachment; a new tab keeps the dashboard open should the export fail after all
+  const link = document.createElement('a')
+  link.href = `${CONFIG_PARAMS.WEBSERVER_URL}${body.url}`
+  link.target = '_blank'
+  link.rel = 'noopener'
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+}
@@ -0,0 +1,66 @@
+import { reactive } from 'vue'
+import CONFIG_PARAMS from '../config/Config.js'
+
+const STORAGE_KEY = 'dashboard-session'
+
+// The logged-in user { token, username, role, permissions, expiresAt }, or null
+export const session = reactive({ user: loadSession() })
+
+function loadSession() {
+  try {
+    const user = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return user && user.expiresAt > Date.now() ? user : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Logs in at the webserver and keeps the session across page reloads.
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<object>} The session.
+ */
+export async function login(username, password) {
+  const response = await fetch(`${CONFIG_PARAMS.WEBSERVER_URL}/api/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  })
+  const body = await response.json()
+  if (!response.ok) throw new Error(body.error || 'Login failed.')
+  session.user = body
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(body))
+  return body
+}
+
+/**
+ * Ends the session at the webserver (best effort) and forgets it locally.
+ */
+export async function logout() {
+  const token = session.user && session.user.token
+  clearSession()
+  if (!token) return
+  try {
+    await fetch(`${CONFIG_PARAMS.WEBSERVER_URL}/api/logout`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` },
+    })
+  } catch (err) {
+    console.warn('[UI] Logout request failed:', err.message)
+  }
+}
+
+export function clearSession() {
+  session.user = null
+  localStorage.removeItem(STORAGE_KEY)
+}
+
+/**
+ * Whether the logged-in user's role allows an action.
+ * @param {string} permission - 'read', 'control', 'config' or 'admin'
+ * @returns {boolean}
+ */
+export function can(permission) {
+  return !!session.user && session.user.permissions.includes(permission)
+}
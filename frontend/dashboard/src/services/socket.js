@@ -0,0 +1,85 @@
+import { io } from 'socket.io-client'
+import CONFIG_PARAMS from '../config/Config.js'
+import { session } from './session.js'
+
+// One connection to the webserver, shared by every page. Pages open it after registering
+// their listeners; it presents the session token in the handshake (see boot/auth.js)
+export const socket = io(CONFIG_PARAMS.WEBSERVER_URL, {
+  autoConnect: false,
+  auth: (cb) => cb({ token: session.user ? session.user.token : null }),
+})
+
+/**
+ * Registers a listener on the shared connection.
+ * @param {string} event
+ * @param {function} handler
+ * @returns {function} Removes the listener again; pages call it before they unmount.
+ */
+export function listen(event, handler) {
+  socket.on(event, handler)
+  return () => socket.off(event, handler)
+}
+
+/**
+ * Asks the master, through the webserver, for stored readings and health records.
+ * @param {object} query - { slaveId?, handler?, kind?, from?, to?, limit?, bucketMs? }
+ * @returns {Promise<object[]>} The matching records, oldest first.
+ */
+export function queryHistory(query) {
+  return new Promise((resolve, reject) => {
+    socket
+      .timeout(CONFIG_PARAMS.HISTORY_QUERY_TIMEOUT_MS)
+      .emit('history-query', query, (err, response) => {
+        if (err) return reject(new Error('Webserver did not answer in time.'))
+        if (response.error) return reject(new Error(response.error))
+        resolve(response.records)
+      })
+  })
+}
+
+/**
+ * Sends a control command to a slave through the webserver and the master.
+ * @param {object} command - { slaveId, action, handler? }
+ * @returns {Promise<object>} The command result { commandId, slaveId, action, outcome, message?, handlers? };
+ *   it is never rejected, failures are outcomes such as 'timeout' or 'forbidden'.
+ */
+export function sendControl(command) {
+  return new Promise((resolve) => {
+    socket
+      .timeout(CONFIG_PARAMS.CONTROL_TIMEOUT_MS)
+      .emit('control-slave', command, (err, result) => {
+        if (err) {
+          return resolve({
+            ...command,
+            outcome: 'timeout',
+            message: 'Webserver did not answer in time.',
+          })
+        }
+        resolve(result)
+      })
+  })
+}
+
+/**
+ * Sends a request of the configuration editor to the master, through the webserver.
+ * @param {object} request - { action: 'get' } | { action: 'preview', config }
+ *   | { action: 'save', config, baseVersion, comment? }
+ * @returns {Promise<object>} The master's answer. Rejected with an Error carrying 'code' and 'errors'
+ *   (e.g. 'invalid' with one message per problem, 'conflict', 'forbidden') when the request is refused.
+ */
+export function masterConfigRequest(request) {
+  return new Promise((resolve, reject) => {
+    socket
+      .timeout(CONFIG_PARAMS.CONFIG_REQUEST_TIMEOUT_MS)
+      .emit('master-config', request, (err, response) => {
+        if (err) return reject(new Error('Webserver did not answer in time.'))
+        if (response.error) {
+          const error = new Error(response.error)
+          error.code = response.code
+          error.errors = response.errors || [response.error]
+          return reject(error)
+        }
+        resolve(response)
+      })
+  })
+}
@@ -0,0 +1,167 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const logger = require("../config/logger")("masternode");
+const { describeConfigChanges } = require("../config/masterConfig");
+const { stableStringify } = require("../config/stableStringify");
+
+const VERSION_FILE_PATTERN = /^v(\d+)\.json$/;
+
+/**
+ * @class                              		- ConfigHistory
+ * @extends                            		- none
+ * @param {string} strDir              		- Directory of the history, one file per version: v<number>.json
+ * @param {number} nMaxVersions        		- Oldest versions beyond this count are deleted.
+ * @constructor
+ * @description                        		- Versioned record of every master configuration that was accepted. A version is
+ *                                       	  { version, timestamp, hash, author, comment, source, config }; 'source' says how
+ *                                       	  it came in ('file' edit, 'rollback', ...). A configuration identical to the
+ *                                       	  latest version (same hash) does not create a new one.
+ * @date                               		- 19 - Oct - 2026
+ */
+function ConfigHistory(strDir, nMaxVersions)
+{
+  let self = this;
+  self._strDir = strDir;
+  self._nMaxVersions = nMaxVersions;
+  fs.mkdirSync(strDir, { recursive: true });
+}
+
+/**
+ * @method                             		- record
+ * @param {object} config              		- A validated master configuration.
+ * @param {object} [meta]              		- { source, author, comment }
+ * @returns {object}                   		- The version entry (the latest one if the configuration is unchanged).
+ * @summary                            		- Adds a version to the history.
+ * @date                               		- 19 - Oct - 2026
+ */
+ConfigHistory.prototype.record = function (config, meta) {
+  let self = this;
+  const objMeta = meta || {};
+  const strHash = hashConfig(config);
+  const latest = self.latest();
+  if (latest && latest.hash === strHash) return latest;
+
+  const entry = {
+    version: latest ? latest.version + 1 : 1,
+    timestamp: new Date().toISOString(),
+    hash: strHash,
+    author: objMeta.author || null,
+    comment: objMeta.comment || null,
+    source: objMeta.source || "file",
+    config: config,
+  };
+  const strFile = path.join(self._strDir, `v${entry.version}.json`);
+  fs.writeFileSync(strFile + ".tmp", JSON.stringify(entry, null, 2));
+  fs.renameSync(strFile + ".tmp", strFile);
+  logger.info(`[ConfigHistory] Recorded version ${entry.version} (${entry.source}${entry.author ? `, ${entry.author}` : ""})`);
+  self._prune();
+  return entry;
+};
+
+/**
+ * @method                             		- list
+ * @param                              		- none
+ * @returns {object[]}                 		- Every version without its configuration, newest first.
+ * @summary                            		- Lists the history.
+ * @date                               		- 19 - Oct - 2026
+ */
+ConfigHistory.prototype.list = function () {
+  let self = this;
+  return self._versionNumbers()
+    .reverse()
+    .map((nVersion) => self.get(nVersion))
+    .filter(Boolean)
+    .map(({ config, ...summary }) => summary);
+};
+
+/**
+ * @method                             		- get
+ * @param {number} nVersion            		- The version number.
+ * @returns {object|null}              		- The version with its configuration, or null if there is no such version.
+ * @summary                            		- Reads one version.
+ * @date                               		- 19 - Oct - 2026
+ */
+ConfigHistory.prototype.get = function (nVersion) {
+  let self = this;
+  try
+  {
+    return JSON.parse(fs.readFileSync(path.join(self._strDir, `v${Number(nVersion)}.json`), "utf8"));
+  }
+  catch (err)
+  {
+    if (err.code !== "ENOENT") logger.error(`[ConfigHistory] Error reading version ${nVersion}: ${err.message}`);
+    return null;
+  }
+};
+
+/**
+ * @method                             		- latest
+ * @param                              		- none
+ * @returns {object|null}              		- The newest version, or null if the history is empty.
+ * @summary                            		- Reads the newest version.
+ * @date                               		- 19 - Oct - 2026
+ */
+ConfigHistory.prototype.latest = function () {
+  let self = this;
+  const versions = self._versionNumbers();
+  return versions.length > 0 ? self.get(versions[versions.length - 1]) : null;
+};
+
+/**
+ * @method                             		- diff
+ * @param {number} nFrom               		- The older version.
+ * @param {number} nTo                 		- The newer version.
+ * @returns {object|null}              		- { from, to, added, removed, changed, unchanged, slaves } where slaves maps
+ *                                       	  every added, removed or changed slave to { before, after } (null when
+ *                                       	  absent); null if either version does not exist.
+ * @summary                            		- Compares two versions slave by slave.
+ * @date                               		- 19 - Oct - 2026
+ */
+ConfigHistory.prototype.diff = function (nFrom, nTo) {
+  let self = this;
+  const from = self.get(nFrom);
+  const to = self.get(nTo);
+  if (!from || !to) return null;
+
+  return Object.assign({ from: from.version, to: to.version }, describeConfigChanges(from.config, to.config));
+};
+
+/**
+ * @method                             		- _versionNumbers
+ * @param                              		- none
+ * @returns {number[]}                 		- The stored version numbers, ascending.
+ * @summary                            		- Lists the version files.
+ * @date                               		- 19 - Oct - 2026
+ */
+ConfigHistory.prototype._versionNumbers = function () {
+  let self = this;
+  return fs.readdirSync(self._strDir)
+    .map((strName) => VERSION_FILE_PATTERN.exec(strName))
+    .filter(Boolean)
+    .map((match) => Number(match[1]))
+    .sort((a, b) => a - b);
+};
+
+/**
+ * @method                             		- _prune
+ * @param                              		- none
+ * @returns                            		- none
+ * @summary                            		- Deletes the oldest versions beyond the configured count.
+ * @date                               		- 19 - Oct - 2026
+ */
+ConfigHistory.prototype._prune = function () {
+  let self = this;
+  const versions = self._versionNumbers();
+  versions.slice(0, Math.max(0, versions.length - self._nMaxVersions)).forEach((nVersion) => {
+    fs.unlinkSync(path.join(self._strDir, `v${nVersion}.json`));
+  });
+};
+
+// Content hash of a configuration; key order does not matter
+function hashConfig(config)
+{
+  return crypto.createHash("sha256").update(stableStringify(config)).digest("hex");
+}
+
+module.exports = { ConfigHistory, hashConfig };
@@ -0,0 +1,196 @@
+const logger = require("../config/logger")("masternode");
+const { CONFIG_PARAMS } = require("../config/Config");
+
+/**
+ * @class                              		- LivenessMonitor
+ * @extends                            		- none
+ * @param {number} nHeartbeatIntervalMs		- How often slaves send a health-status heartbeat.
+ * @param {function} fnOnChange        		- Called with { slaveIp, status, previousStatus, reason, timestamp }
+ *                                       	  on every state change.
+ * @constructor
+ * @description                        		- Tracks each connected slave through the states
+ *                                       	    online       - heartbeats arrive on time
+ *                                       	    stale        - heartbeats are late but the slave answers the master's ping
+ *                                       	                   (a slave stopped by a 'stop' command sends none and stays
+ *                                       	                   online as long as it answers)
+ *                                       	    unresponsive - heartbeats are late and the ping goes unanswered
+ *                                       	    offline      - the socket is gone; an unresponsive slave is disconnected
+ *                                       	                   after LIVENESS_OFFLINE_AFTER_INTERVALS heartbeat intervals
+ *                                       	  An open socket alone does not count as alive, so a hung slave process is noticed.
+ * @date                               		- 19 - Oct - 2026
+ */
+function LivenessMonitor(nHeartbeatIntervalMs, fnOnChange)
+{
+  let self = this;
+  self._nHeartbeatIntervalMs = nHeartbeatIntervalMs;
+  self._fnOnChange = fnOnChange;
+  self._slaves = new Map(); // Slave ID -> { socket, status, lastHeartbeat, pingPending, offlineReason }
+  self._intervalId = null;
+}
+
+/**
+ * @method                             		- start
+ * @param                              		- none
+ * @returns                            		- none
+ * @summary                            		- Checks every tracked slave twice per heartbeat interval.
+ * @date                               		- 19 - Oct - 2026
+ */
+LivenessMonitor.prototype.start = function () {
+  let self = this;
+  if (self._intervalId) return;
+  self._intervalId = setInterval(() => self.check(), self._nHeartbeatIntervalMs / 2);
+};
+
+/**
+ * @method                             		- stop
+ * @param                              		- none
+ * @returns                            		- none
+ * @summary                            		- Stops the periodic checks.
+ * @date                               		- 19 - Oct - 2026
+ */
+LivenessMonitor.prototype.stop = function () {
+  let self = this;
+  clearInterval(self._intervalId);
+  self._intervalId = null;
+};
+
+/**
+ * @method                             		- track
+ * @param {string} strSlaveId          		- The slave that identified itself.
+ * @param {object} socket              		- Its socket, used for pings.
+ * @returns                            		- none
+ * @summary                            		- Starts tracking a slave; it is online until its heartbeats stop.
+ * @date                               		- 19 - Oct - 2026
+ */
+LivenessMonitor.prototype.track = function (strSlaveId, socket) {
+  let self = this;
+  const previous = self._slaves.get(strSlaveId);
+  self._slaves.set(strSlaveId, {
+    socket: socket,
+    status: previous ? previous.status : "offline",
+    lastHeartbeat: Date.now(),
+    pingPending: false,
+    offlineReason: null,
+  });
+  self._transition(strSlaveId, "online", "slave identified");
+};
+
+/**
+ * @method                             		- heartbeat
+ * @param {string} strSlaveId          		- The slave that sent a health-status.
+ * @returns                            		- none
+ * @summary                            		- Records a heartbeat; a stale or unresponsive slave is online again.
+ * @date                               		- 19 - Oct - 2026
+ */
+LivenessMonitor.prototype.heartbeat = function (strSlaveId) {
+  let self = this;
+  const entry = self._slaves.get(strSlaveId);
+  if (!entry || entry.status === "offline") return;
+  entry.lastHeartbeat = Date.now();
+  self._transition(strSlaveId, "online", "heartbeat received");
+};
+
+/**
+ * @method                             		- untrack
+ * @param {string} strSlaveId          		- The slave whose socket disconnected.
+ * @param {object} socket              		- That socket; ignored if the slave has reconnected on another one since.
+ * @param {string} strReason           		- Why it went offline, unless the monitor disconnected it itself.
+ * @returns                            		- none
+ * @summary                            		- Marks a slave offline and stops tracking it.
+ * @date                               		- 19 - Oct - 2026
+ */
+LivenessMonitor.prototype.untrack = function (strSlaveId, socket, strReason) {
+  let self = this;
+  const entry = self._slaves.get(strSlaveId);
+  if (!entry || entry.socket !== socket) return;
+  self._transition(strSlaveId, "offline", entry.offlineReason || strReason);
+  self._slaves.delete(strSlaveId);
+};
+
+/**
+ * @method                             		- getState
+ * @param {string} strSlaveId          		- The slave ID.
+ * @returns {string}                   		- 'online', 'stale', 'unresponsive' or 'offline'.
+ * @summary                            		- The current state of a slave.
+ * @date                               		- 19 - Oct - 2026
+ */
+LivenessMonitor.prototype.getState = function (strSlaveId) {
+  let self = this;
+  const entry = self._slaves.get(strSlaveId);
+  return entry ? entry.status : "offline";
+};
+
+/**
+ * @method                             		- check
+ * @param                              		- none
+ * @returns                            		- none
+ * @summary                            		- Pings every slave whose heartbeat is late and moves it to stale or
+ *                                       	  unresponsive depending on the answer.
+ * @date                               		- 19 - Oct - 2026
+ */
+LivenessMonitor.prototype.check = function () {
+  let self = this;
+  const nNow = Date.now();
+  self._slaves.forEach((entry, strSlaveId) => {
+    try
+    {
+      const nSilentMs = nNow - entry.lastHeartbeat;
+      if (nSilentMs <= self._nHeartbeatIntervalMs * CONFIG_PARAMS.LIVENESS_STALE_AFTER_INTERVALS) return;
+      if (entry.pingPending) return;
+
+      const strSilence = `no heartbeat for ${Math.round(nSilentMs / 1000)} s`;
+      entry.pingPending = true;
+      entry.socket.timeout(CONFIG_PARAMS.LIVENESS_PING_TIMEOUT_MS).emit("liveness-ping", (err, reply) => {
+        entry.pingPending = false;
+        if (self._slaves.get(strSlaveId) !== entry) return; // Reconnected or gone meanwhile
+        if (!err && reply && reply.stopped)
+        {
+          self._transition(strSlaveId, "online", "stopped by command, answers pings");
+          return;
+        }
+        if (!err)
+        {
+          self._transition(strSlaveId, "stale", `${strSilence}, answers pings`);
+          return;
+        }
+        if (nSilentMs > self._nHeartbeatIntervalMs * CONFIG_PARAMS.LIVENESS_OFFLINE_AFTER_INTERVALS)
+        {
+          entry.offlineReason = `${strSilence} and no answer to ping, disconnected by master`;
+          entry.socket.disconnect(true); // The disconnect handler untracks it
+          return;
+        }
+        self._transition(strSlaveId, "unresponsive", `${strSilence} and no answer to ping`);
+      });
+    }
+    catch (err)
+    {
+      logger.error("[Liveness] Error: ", err);
+    }
+  });
+};
+
+/**
+ * @method                             		- _transition
+ * @param {string} strSlaveId          		- The slave ID.
+ * @param {string} strStatus           		- The new state.
+ * @param {string} strReason           		- Why.
+ * @returns                            		- none
+ * @summary                            		- Changes a slave's state and reports it; no-op if the state is unchanged.
+ * @date                               		- 19 - Oct - 2026
+ */
+LivenessMonitor.prototype._transition = function (strSlaveId, strStatus, strReason) {
+  let self = this;
+  const entry = self._slaves.get(strSlaveId);
+  if (!entry || entry.status === strStatus) return;
+  const change = {
+    slaveIp: strSlaveId,
+    status: strStatus,
+    previousStatus: entry.status,
+    reason: strReason,
+    timestamp: new Date().toISOString(),
+  };
+  entry.status = strStatus;
+  self._fnOnChange(change);
+};
+
+module.exports = { LivenessMonitor };
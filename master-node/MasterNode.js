@@ -4,6 +4,18 @@ const fs = require("fs");
 const path = require("path");
 const { log } = require("console");
 const logger = require("../config/logger")("masternode");
+const { TimeSeriesStore } = require("./TimeSeriesStore");
+const { SlaveCredentialStore } = require("./SlaveCredentialStore");
+const { LivenessMonitor } = require("./LivenessMonitor");
+const { ConfigHistory } = require("./ConfigHistory");
+const { SlaveRegistrations } = require("./SlaveRegistrations");
+const { Scheduler } = require("./Scheduler");
+const { WindowedAggregator } = require("./WindowedAggregator");
+const { validateMasterConfig, diffMasterConfigs, describeConfigChanges, resolveSlaveEntry } = require("../config/masterConfig");
+const { stableStringify } = require("../config/stableStringify");
+const { CONFIG_PARAMS } = require("../config/Config");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * @Class                              		- MasterNode
@@ -11,6 +23,9 @@ const logger = require("../config/logger")("masternode");
  * @param {string} strWebserverUrl     		- The URL of the Webserver to connect to.
  * @param {number} nSlavePort          		- The port number on which to listen for Slave connections.
  * @param {string} strConfigFilePath   		- Path to the master configuration file.
+ * @param {string} strDataDir          		- Directory of the time-series store.
+ * @param {string} strCredentialsFilePath	- Path to the slave credential store.
+ * @param {string} strWebserverTokenFilePath	- Path to the file with the token the master presents to the Webserver.
  * @constructor
  * @description                        		- This is the Master node that connects to the Webserver and listens for Slave nodes.
  *                                       	  	  It waits for Slaves to identify themselves and then sends them their specific configuration 
@@ -19,17 +34,54 @@ const logger = require("../config/logger")("masternode");
  * @date                               		- 15-10-2025
  */
 
-function MasterNode(strWebserverUrl, nSlavePort, strConfigFilePath) 
+function MasterNode(strWebserverUrl, nSlavePort, strConfigFilePath, strDataDir, strCredentialsFilePath, strWebserverTokenFilePath) 
 {
   let self = this;
   self._strWebserverUrl = strWebserverUrl;
+  self._strWebserverTokenFilePath = strWebserverTokenFilePath;
   self._nSlavePort = nSlavePort;
   self._strConfigFilePath = strConfigFilePath;
 
-  self._config = {};
+  self._config = { config: [] }; // Last valid configuration
+  self._reloadTimer = null;
+  // Every accepted configuration, next to the config file
+  self._configHistory = new ConfigHistory(
+    path.join(path.dirname(strConfigFilePath), "config_history"),
+    CONFIG_PARAMS.CONFIG_HISTORY_MAX_VERSIONS
+  );
+  // Slaves without a config entry wait for an operator's approval; rejections are kept next to the config file
+  self._registrations = new SlaveRegistrations(path.join(path.dirname(strConfigFilePath), "slave_registrations.json"));
+  // Recurring and one-off jobs, run by the master on its own
+  self._scheduler = new Scheduler(path.join(path.dirname(strConfigFilePath), "schedule.json"), {
+    tickMs: CONFIG_PARAMS.SCHEDULER_TICK_MS,
+    missedAfterMs: CONFIG_PARAMS.SCHEDULER_MISSED_AFTER_MS,
+    runJob: self.runScheduledJob.bind(self),
+    onEvent: self.reportScheduleEvent.bind(self),
+  });
   self._connectedSlaves = new Map(); // Stores slaves by their self-identified ID. // Client to connect to the Webserver
 
   self._webserverSocket = null; // Will be initialized in connectToWebServer // Server to listen for Slaves
+  // Rolling aggregates of the sensor readings, published as the "summary" stream
+  self._aggregator = new WindowedAggregator(
+    CONFIG_PARAMS.SUMMARY_WINDOWS_MS,
+    CONFIG_PARAMS.SUMMARY_PUBLISH_INTERVAL_MS,
+    self.publishSummary.bind(self)
+  );
+  self._bForwardRaw = true; // Cleared while no dashboard subscribes to the raw readings
+
+  // Every sensor-data and health-status packet is kept here for history queries
+  self._store = new TimeSeriesStore(strDataDir, {
+    retentionMs: CONFIG_PARAMS.STORE_RETENTION_DAYS * DAY_MS,
+    downsampleAfterMs: CONFIG_PARAMS.STORE_RAW_DAYS * DAY_MS,
+    downsampleBucketMs: CONFIG_PARAMS.STORE_DOWNSAMPLE_BUCKET_MS,
+  });
+
+  // Slaves must present a token signed with their secret in the handshake
+  self._strCredentialsFilePath = strCredentialsFilePath;
+  self._credentials = new SlaveCredentialStore(strCredentialsFilePath, CONFIG_PARAMS.SLAVE_AUTH_MAX_SKEW_MS);
+  self._credentialsTimer = null;
+  // Slave states (online, stale, unresponsive, offline) from heartbeats and pings
+  self._liveness = new LivenessMonitor(CONFIG_PARAMS.HEALTH_REPORT_INTERVAL_MS, self.reportSlaveState.bind(self));
 
   self._slaveServer = new Server(nSlavePort, {
     cors: { origin: "*" },
@@ -49,9 +101,13 @@ function MasterNode(strWebserverUrl, nSlavePort, strConfigFilePath)
  */
 MasterNode.prototype.start = function () {
   let self = this;
+  self._store.start();
+  self._liveness.start();
+  self._aggregator.start();
   self.connectToWebServer(); // First, establish connection to the main server
   self.listenForSlaves();
   self.watchConfigFile(); // Load config initially and then watch for changes
+  self._scheduler.start(); // After the config is loaded, as jobs act on it
 };
 
 /**
@@ -67,24 +123,74 @@ MasterNode.prototype.connectToWebServer = function () {
   {
     let self = this;
     // Initialize the client socket here
-    self._webserverSocket = io(self._strWebserverUrl);
+    // The token tells the webserver this client is the master; it is re-read on every attempt
+    self._webserverSocket = io(self._strWebserverUrl, {
+      auth: (cb) => cb({ token: self.readWebserverToken() }),
+    });
 
     self._webserverSocket.on("connect", () => {
       logger.info(`[Master] Connected to Webserver at ${self._strWebserverUrl}`);
-      self._webserverSocket.emit("master-identify"); // Let the server know we are the master
+      self.reportRegistrations();
     });
 
     self._webserverSocket.on("disconnect", () => {
       logger.info(`[Master] Disconnected from Webserver.`);
+      self._bForwardRaw = true; // Until the webserver tells otherwise
     });
 
     self._webserverSocket.on("connect_error", (err) => {
       logger.error(`[Master] Could not connect to Webserver: ${err.message}`);
+      // Refused in the handshake: Socket.IO gives up, so try again later
+      if (!self._webserverSocket.active)
+      {
+        setTimeout(() => self._webserverSocket.connect(), CONFIG_PARAMS.MASTER_AUTH_RETRY_MS);
+      }
     });
 
     // Listen for control commands from the webserver
-    self._webserverSocket.on("control-slave", (command) => {
-      self.sendControlToSlave(command.slaveId, command.action);
+    // The acknowledgement carries the command's outcome back to the webserver
+    // A command with a 'tag' instead of a 'slaveId' goes to every slave with that tag
+    self._webserverSocket.on("control-slave", (command, ack) => {
+      const { slaveId, tag, action, ...params } = command;
+      if (tag !== undefined) self.sendControlToTag(tag, action, params, ack);
+      else self.sendControlToSlave(slaveId, action, params, ack);
+    });
+
+    // History requests from the webserver, answered through the Socket.IO acknowledgement
+    self._webserverSocket.on("history-query", (query, ack) => {
+      self.queryHistory(query, ack);
+    });
+
+    // Configuration history: list, get and diff versions, roll back
+    self._webserverSocket.on("config-history", (request, ack) => {
+      self.handleConfigHistoryRequest(request || {}, ack);
+    });
+
+    // The dashboard's configuration editor: get, preview, save
+    self._webserverSocket.on("master-config", (request, ack) => {
+      self.handleMasterConfigRequest(request || {}, ack);
+    });
+
+    // Scheduled jobs: list, add, update, remove
+    self._webserverSocket.on("schedule", (request, ack) => {
+      self.handleScheduleRequest(request || {}, ack);
+    });
+
+    // Slaves waiting for approval: list, approve, reject
+    self._webserverSocket.on("slave-registration", (request, ack) => {
+      self.handleRegistrationRequest(request || {}, ack);
+    });
+
+    // Data exports: the readings are streamed back in 'export-chunk' events
+    self._webserverSocket.on("export-readings", (request, ack) => {
+      self.exportReadings(request, ack);
+    });
+
+    // Whether any dashboard subscribes to the raw readings; summaries are always published
+    self._webserverSocket.on("stream-demand", (demand) => {
+      const bRaw = !!(demand && demand.raw);
+      if (bRaw !== self._bForwardRaw) logger.info(`[Master] ${bRaw ? "Resuming" : "Pausing"} raw reading forwarding.`);
+      self._bForwardRaw = bRaw;
     });
   } 
   catch (err) 
@@ -93,6 +199,26 @@ MasterNode.prototype.connectToWebServer = function () {
   }
 };
 
+/**
+ * @method                          			- readWebserverToken
+ * @param                           			- none
+ * @returns {string|null}           			- The token, or null if the file is missing or unreadable.
+ * @summary                         			- Reads the token the master presents to the Webserver.
+ * @date                            			- 19 - Oct - 2026
+ */
+MasterNode.prototype.readWebserverToken = function () {
+  let self = this;
+  try
+  {
+    return JSON.parse(fs.readFileSync(self._strWebserverTokenFilePath, "utf8")).token || null;
+  }
+  catch (err)
+  {
+    logger.error(`[Master] Could not read the Webserver token: ${err.message}`);
+    return null;
+  }
+};
+
 /**
  * @method                          			- listenForSlaves
  * @param                           			- none
@@ -106,7 +232,9 @@ MasterNode.prototype.listenForSlaves = function () {
   {
     let self = this;
     logger.info(`[Master] Listening for slaves on port ${self._nSlavePort}`);
+    self._slaveServer.use(self.authenticateSlave.bind(self));
     self._slaveServer.on("connection", self.handleSlaveConnection.bind(self));
+    self.watchCredentialsFile();
   } 
   catch (err) 
   {
@@ -114,6 +242,107 @@ MasterNode.prototype.listenForSlaves = function () {
   }
 };
 
+/**
+ * @method                          			- authenticateSlave
+ * @param {object} socket           			- The connecting slave socket.
+ * @param {function} next           			- Socket.IO middleware continuation.
+ * @returns                         			- none
+ * @summary                         			- Handshake middleware: verifies the slave token against the credential store
+ *                                       	  and refuses unknown, revoked or badly signed slaves.
+ * @date                            			- 19 - Oct - 2026
+ */
+MasterNode.prototype.authenticateSlave = function (socket, next) {
+  let self = this;
+  try
+  {
+    const result = self._credentials.verify(socket.handshake.auth);
+    if (!result.ok)
+    {
+      self.reportAuthRejection({ slaveId: result.slaveId, reason: result.reason, address: socket.handshake.address });
+      return next(new Error(`unauthorized: ${result.reason}`));
+    }
+    socket.data.slaveId = result.slaveId;
+    next();
+  }
+  catch (err)
+  {
+    logger.error("[Master] Error: ", err);
+    next(new Error("unauthorized: internal error"));
+  }
+};
+
+/**
+ * @method                          			- reportAuthRejection
+ * @param {object} rejection        			- { slaveId, reason, address }
+ * @returns                         			- none
+ * @summary                         			- Logs a refused slave and notifies the webserver.
+ * @date                            			- 19 - Oct - 2026
+ */
+MasterNode.prototype.reportAuthRejection = function (rejection) {
+  let self = this;
+  try
+  {
+    const event = Object.assign({ timestamp: new Date().toISOString() }, rejection);
+    logger.warn(`[Master] Refused slave ${event.slaveId || "(no id)"} from ${event.address}: ${event.reason}`);
+    if (self._webserverSocket) self._webserverSocket.emit("slave-auth-rejected", event);
+  }
+  catch (err)
+  {
+    logger.error("[Master] Error: ", err);
+  }
+};
+
+/**
+ * @method                          			- watchCredentialsFile
+ * @param                           			- none
+ * @returns                         			- none
+ * @summary                         			- Watches the slave credential file, which enrollSlave.js changes from another
+ *                                       	  process, so a revocation also ends the slave's live connections.
+ * @date                            			- 19 - Oct - 2026
+ */
+MasterNode.prototype.watchCredentialsFile = function () {
+  let self = this;
+  try
+  {
+    const strCredentialsFileName = path.basename(self._strCredentialsFilePath);
+    fs.watch(path.dirname(self._strCredentialsFilePath), (eventType, filename) => {
+      if (filename !== strCredentialsFileName) return;
+      clearTimeout(self._credentialsTimer);
+      self._credentialsTimer = setTimeout(() => self.disconnectRevokedSlaves(), CONFIG_PARAMS.CONFIG_RELOAD_DEBOUNCE_MS);
+    });
+  }
+  catch (err)
+  {
+    logger.error("[Master] Error: ", err);
+  }
+};
+
+/**
+ * @method                          			- disconnectRevokedSlaves
+ * @param                           			- none
+ * @returns                         			- none
+ * @summary                         			- Disconnects every slave socket whose credentials are revoked or gone; the
+ *                                       	  handshake refuses its reconnects.
+ * @date                            			- 19 - Oct - 2026
+ */
+MasterNode.prototype.disconnectRevokedSlaves = function () {
+  let self = this;
+  try
+  {
+    self._slaveServer.sockets.sockets.forEach((socket) => {
+      const slaveId = socket.data.slaveId;
+      if (self._credentials.isActive(slaveId)) return;
+      logger.warn(`[Master] Credentials of slave ${slaveId} were revoked. Disconnecting.`);
+      self.reportAuthRejection({ slaveId: slaveId, reason: "revoked", address: socket.handshake.address });
+      socket.disconnect(true);
+    });
+  }
+  catch (err)
+  {
+    logger.error("[Master] Error: ", err);
+  }
+};
+
 /**
  * @method                          			- handleSlaveConnection
  * @param {object} socket           			- The socket object representing the connected Slave.
@@ -129,15 +358,66 @@ MasterNode.prototype.handleSlaveConnection = function (socket) {
     let self = this;
     let slaveId = null; // To be set upon identification
 
+    // Packets count only once the slave identified and was approved, and only under the ID proven in its handshake
+    const accepts = function (strEvent, data) {
+      if (!slaveId || !socket.data.approved)
+      {
+        logger.warn(`[Master] Dropped ${strEvent} from ${slaveId || socket.data.slaveId}: not identified or not approved.`);
+        return false;
+      }
+      if (!data || data.slaveIp !== slaveId)
+      {
+        logger.warn(`[Master] Dropped ${strEvent} from ${slaveId} claiming to be ${data && data.slaveIp}.`);
+        return false;
+      }
+      return true;
+    };
+
     logger.info("[Master] A new slave is attempting to connect...");
 
     socket.on("identify", function (identity) {
       try 
 		{
+        // The ID is the one proven in the handshake; a different self-reported ID is refused
+        if (identity.id !== socket.data.slaveId)
+        {
+          logger.warn(`[Master] Slave authenticated as ${socket.data.slaveId} identified as ${identity.id}. Disconnecting.`);
+          self.reportAuthRejection({ slaveId: identity.id, reason: "identity mismatch", address: socket.handshake.address });
+          socket.disconnect(true);
+          return;
+        }
+        const bConfigured = self._config.config.some((entry) => entry.slaveIp === identity.id);
+        const rejection = bConfigured ? null : self._registrations.getRejection(identity.id);
+        if (rejection)
+        {
+          logger.warn(`[Master] Slave ${identity.id} was rejected on ${rejection.rejectedAt}. Disconnecting.`);
+          socket.disconnect(true);
+          return;
+        }
         slaveId = identity.id;
         self._connectedSlaves.set(slaveId, socket);
         logger.info(`[Master] Slave identified as ${slaveId} and is now connected.`);
-        self.sendConfigToSlave(slaveId); // Send config immediately upon identification
+        if (identity.mode === "autonomous")
+        {
+          logger.info(`[Master] ${slaveId} has been running autonomously from its cached config since ${identity.autonomousSince}.`);
+        }
+        if (bConfigured)
+        {
+          socket.data.approved = true;
+          self._liveness.track(slaveId, socket);
+          self.sendConfigToSlave(slaveId); // Send config immediately upon identification
+        }
+        else
+        {
+          // Unknown to the config: wait for an operator to approve or reject it. It sends no heartbeats
+          // without a config, so its liveness is only tracked once it is approved (see applyConfig)
+          self._registrations.addPending(slaveId, {
+            capabilities: identity.capabilities,
+            address: socket.handshake.address,
+            mode: identity.mode,
+          });
+          self.reportRegistrations();
+        }
       } 
 		catch (err) 
 		{
@@ -149,8 +429,11 @@ MasterNode.prototype.handleSlaveConnection = function (socket) {
     socket.on("sensor-data", function (data) {
       try 
 		{
+        if (!accepts("sensor-data", data)) return;
         logger.info(`[Master] >>> Received SENSOR-DATA from ${data.slaveIp}`);
-        self.forwardDataToWebserver(data);
+        self._store.appendPacket(data);
+        self._aggregator.add(data);
+        if (self._bForwardRaw) self.forwardDataToWebserver(data);
       } 
 		catch (err) 
 		{
@@ -161,7 +444,14 @@ MasterNode.prototype.handleSlaveConnection = function (socket) {
     socket.on("health-status", function (data) {
       try 
 		{
-        logger.info(`[Master] >>> Received HEALTH-STATUS from ${data.slaveIp}`);
+        if (!accepts("health-status", data)) return;
+        logger.info(`[Master] >>> Received HEALTH-STATUS from ${data.slaveIp}: ${describeHealth(data)}`);
+        if (data.status && data.status !== "online")
+        {
+          logger.warn(`[Master] Slave ${data.slaveIp} reports itself ${data.status}: ${(data.reasons || []).join("; ")}`);
+        }
+        self._liveness.heartbeat(slaveId);
+        self._store.appendPacket(data);
         self.forwardDataToWebserver(data);
       } 
 		catch (err) 
@@ -170,14 +460,33 @@ MasterNode.prototype.handleSlaveConnection = function (socket) {
       }
     });
 
+    // Sent after a slave replayed the readings it buffered while disconnected
+    socket.on("buffer-report", function (report) {
+      try
+      {
+        if (!accepts("buffer-report", report)) return;
+        logger.info(`[Master] Slave ${report.slaveIp} replayed ${report.replayed} buffered readings (${report.dropped} dropped, ${report.pending} pending).`);
+        self.forwardDataToWebserver({ slaveIp: report.slaveIp, bufferReport: report, timestamp: report.timestamp });
+      }
+      catch (err)
+      {
+        logger.error("[Master] Error: ", err);
+      }
+    });
+
     socket.on("disconnect", function () {
       try 
 		{
         if (slaveId) 
 		  {
-          self._connectedSlaves.delete(slaveId);
-          logger.info(`[Master] Slave ${slaveId} disconnected.`); // Notify UI that this slave is offline
-          self.forwardDataToWebserver({ slaveIp: slaveId, status: "offline" });
+          // A slave that already reconnected keeps its new socket
+          if (self._connectedSlaves.get(slaveId) === socket)
+          {
+            self._connectedSlaves.delete(slaveId);
+            if (self._registrations.setDisconnected(slaveId)) self.reportRegistrations();
+          }
+          logger.info(`[Master] Slave ${slaveId} disconnected.`);
+          self._liveness.untrack(slaveId, socket, "socket disconnected"); // Notifies the UI that this slave is offline
         }
       } 
 		catch (err) 
@@ -192,6 +501,27 @@ MasterNode.prototype.handleSlaveConnection = function (socket) {
   }
 };
 
+/**
+ * @method                      				- reportSlaveState
+ * @param {object} change       				- { slaveIp, status, previousStatus, reason, timestamp }
+ * @returns                     				- none
+ * @summary                    	 			- Stores a slave state change and forwards it to the webserver.
+ * @date                        				- 19 - Oct - 2026
+ */
+MasterNode.prototype.reportSlaveState = function (change) {
+  let self = this;
+  try
+  {
+    logger.info(`[Master] Slave ${change.slaveIp} is ${change.status} (was ${change.previousStatus}): ${change.reason}`);
+    self._store.appendPacket(change);
+    self.forwardDataToWebserver(change);
+  }
+  catch (err)
+  {
+    logger.error("[Master] Error: ", err);
+  }
+};
+
 /**
  * @method                      				- forwardDataToWebserver
  * @param {object} data         				- The data packet from the slave.
@@ -211,27 +541,174 @@ MasterNode.prototype.forwardDataToWebserver = function (data) {
   }
 };
 
+/**
+ * @method                          		- publishSummary
+ * @param {object} summary          		- { timestamp, windowsMs, series } from the aggregator.
+ * @returns                         		- none
+ * @summary                         		- Sends the rolling aggregates to the webserver as the "summary" stream.
+ * @date                            		- 19 - Oct - 2026
+ */
+MasterNode.prototype.publishSummary = function (summary) {
+  let self = this;
+  try
+  {
+    if (summary.series.length === 0) return;
+    if (self._webserverSocket && self._webserverSocket.connected) self._webserverSocket.emit("summary", summary);
+  }
+  catch (err)
+  {
+    logger.error("[Master] Error: ", err);
+  }
+};
+
+/**
+ * @method                          		- queryHistory
+ * @param {object} query            		- { slaveId?, handler?, kind?, from?, to?, limit?, bucketMs? }
+ * @param {function} ack            		- Called with { records } or { error }.
+ * @returns                         		- none
+ * @summary                         		- Answers a history query from the time-series store.
+ * @date                            		- 19 - Oct - 2026
+ */
+MasterNode.prototype.queryHistory = function (query, ack) {
+  let self = this;
+  try
+  {
+    if (typeof ack !== "function") return;
+    self._store.query(query || {}, (err, records) => {
+      if (err)
+      {
+        logger.error(`[Master] History query failed: ${err.message}`);
+        return ack({ error: err.message, code: err.code });
+      }
+      ack({ records: records });
+    });
+  }
+  catch (err)
+  {
+    logger.error("[Master] Error: ", err);
+    ack({ error: err.message });
+  }
+};
+
+/**
+ * @method                          		- exportReadings
+ * @param {object} request          		- { exportId, slaveId?, handler?, from?, to? }
+ * @param {function} ack            		- Called with { exportId } once the export starts, or { error, code }.
+ * @returns                         		- none
+ * @summary                         		- Streams the matching sensor readings from the time-series store to the webserver
+ *                                       	  as 'export-chunk' events of EXPORT_CHUNK_RECORDS records; the last one has 'done' and
+ *                                       	  the record count. The next chunk is read only once the webserver has taken the last
+ *                                       	  one, so a large range is never held in memory. An acknowledgement with 'cancel', or
+ *                                       	  none in time, stops the export.
+ * @date                            		- 19 - Oct - 2026
+ */
+MasterNode.prototype.exportReadings = function (request, ack) {
+  let self = this;
+  try
+  {
+    if (typeof ack !== "function") return;
+    if (!request || !request.exportId)
+    {
+      return ack({ error: "exportId is required.", code: "invalid" });
+    }
+    const strExportId = request.exportId;
+    const stream = self._store.createQueryStream({
+      slaveId: request.slaveId,
+      handler: request.handler,
+      kind: "sensor",
+      from: request.from,
+      to: request.to,
+    });
+    let records = [];
+    let nCount = 0;
+    let bEnded = false;
+
+    // fnNext(true) once the webserver wants the next chunk
+    const sendChunk = (objChunk, fnNext) => {
+      const chunk = Object.assign({ exportId: strExportId }, objChunk);
+      self._webserverSocket.timeout(CONFIG_PARAMS.EXPORT_CHUNK_TIMEOUT_MS).emit("export-chunk", chunk, (err, reply) => {
+        fnNext(!err && !(reply && reply.cancel));
+      });
+    };
+    const finish = (strError) => {
+      if (bEnded) return;
+      bEnded = true;
+      nCount += records.length;
+      sendChunk({ records: records, done: true, count: nCount, error: strError }, () => {});
+      logger.info(`[Master] Export ${strExportId} ${strError ? `failed after ${nCount} records` : `finished with ${nCount} records`}.`);
+    };
+
+    stream.on("data", (record) => {
+      records.push({
+        timestamp: record.timestamp,
+        slaveId: record.slaveId,
+        handler: record.handler,
+        value: record.value, // The bucket mean for downsampled days
+        unit: record.unit,
+      });
+      if (records.length < CONFIG_PARAMS.EXPORT_CHUNK_RECORDS) return;
+      const chunk = records;
+      records = [];
+      nCount += chunk.length;
+      stream.pause();
+      sendChunk({ records: chunk, done: false }, (bContinue) => {
+        if (bContinue) return stream.resume();
+        bEnded = true;
+        stream.destroy();
+        logger.warn(`[Master] Export ${strExportId} stopped by the webserver after ${nCount} records.`);
+      });
+    });
+    stream.on("end", () => finish());
+    stream.on("error", (err) => {
+      logger.error(`[Master] Export ${strExportId} failed: ${err.message}`);
+      finish(err.message);
+    });
+    ack({ exportId: strExportId });
+  }
+  catch (err)
+  {
+    logger.error("[Master] Error: ", err);
+    if (typeof ack === "function") ack({ error: err.message, code: err.code });
+  }
+};
+
 /**
  * @method                          		- loadConfig
  * @param                           		- none
  * @returns {boolean}               		- True if config loaded successfully, false otherwise.
  * @summary                         		- Loads the master configuration file from disk.
+ *                                       	  A file that cannot be parsed or fails validation is reported and the
+ *                                       	  last valid configuration is kept.
  * @author                          		- Gaurav Kishore
  * @date                            		- 15 - Oct - 2025
  */
 MasterNode.prototype.loadConfig = function () {
+  let self = this;
+  return self.applyConfigFile({ source: "file" }).ok;
+};
+
+/**
+ * @method                          		- applyConfigFile
+ * @param {object} meta             		- { source, author?, comment? } recorded in the history.
+ * @returns {object}                		- As applyConfig; { ok: false, errors } also if the file cannot be read or parsed.
+ * @summary                         		- Reads master_config.json and applies it. Every configuration the master runs goes
+ *                                       	  through here, whether the watcher noticed a change or the master wrote the file
+ *                                       	  itself (see commitConfig).
+ * @date                            		- 19 - Oct - 2026
+ */
+MasterNode.prototype.applyConfigFile = function (meta) {
   let self = this;
   try 
   {
-    const rawData = fs.readFileSync(self._strConfigFilePath);
-    self._config = JSON.parse(rawData);
-    logger.info("[Master] Configuration loaded successfully.");
-    return true;
+    const rawData = fs.readFileSync(self._strConfigFilePath, "utf8");
+    const config = JSON.parse(rawData);
+    return self.applyConfig(config, meta);
   } 
   catch (err) 
   {
-    logger.error(`[Master] Error loading config file: ${err.message}`);
-    return false;
+    const failed = { ok: false, errors: [`${path.basename(self._strConfigFilePath)}: ${err.message}`] };
+    self.reportConfigStatus(failed);
+    return failed;
   }
 };
 
@@ -248,11 +725,34 @@ MasterNode.prototype.sendConfigToSlave = function (slaveId) {
   try 
   {
     const slaveSocket = self._connectedSlaves.get(slaveId);
-    const slaveConfig = self._config.config.find((c) => c.slaveIp === slaveId);
+    const slaveEntry = (self._config.config || []).find((c) => c.slaveIp === slaveId);
+    const slaveConfig = slaveEntry && resolveSlaveEntry(self._config, slaveEntry); // With its groups' settings
 
     if (slaveSocket && slaveConfig) 
 	 {
-      slaveSocket.emit("config", slaveConfig);
+      // The slave answers with what it changed: see SlaveNode.applyConfig
+      slaveSocket.timeout(CONFIG_PARAMS.CONTROL_TIMEOUT_MS).emit("config", slaveConfig, (err, summary) => {
+        if (err)
+        {
+          logger.warn(`[Master] ${slaveId} did not confirm its configuration: ${err.message}`);
+          return;
+        }
+        logger.info(
+          `[Master] ${slaveId} applied its configuration: added [${summary.added}], removed [${summary.removed}], ` +
+          `reconfigured [${summary.reconfigured}], unchanged [${summary.unchanged}], health ${summary.health}` +
+          (summary.stopped ? " (slave stopped, handlers start with it)" : "")
+        );
+        if (summary.autonomous && summary.autonomous.divergent)
+        {
+          logger.warn(
+            `[Master] ${slaveId} ran autonomously since ${summary.autonomous.since} on a cached config that differs ` +
+            `from the master's; it now runs the master's (see the changes above).`
+          );
+        }
+        (summary.failed || []).forEach((failure) => {
+          logger.warn(`[Master] ${slaveId} could not apply handler ${failure.type}: ${failure.error}`);
+        });
+      });
       logger.info(`[Master] Sent config to ${slaveId}:`, slaveConfig);
     } 
 	 else 
@@ -267,41 +767,101 @@ MasterNode.prototype.sendConfigToSlave = function (slaveId) {
 };
 
 /**
- * @method                          		- sendControlToSlave
- * @param {string} slaveId          		- The ID of the slave to send the control command to.
- * @param {string} action           		- The control action to send (e.g., 'start', 'stop').
- * @returns                         		- none
- * @summary                         		- Sends a control command to the specified Slave.
- * @author                          		- Gaurav Kishore
- * @date                            		- 15 - Oct - 2025
+ * @method                          		- sendControlToSlave
+ * @param {string} slaveId          		- The ID of the slave to send the control command to.
+ * @param {string} action           		- The control action to send (e.g., 'start', 'stop', 'inject-fault').
+ * @param {object} [objParams]       		- Extra action parameters forwarded as-is (e.g., 'commandId', 'handler', 'fault').
+ * @param {function} [callback]      		- Called with the result: the slave's answer (see SlaveNode.handleControl),
+ *                                       	  or outcome 'slave-offline' / 'timeout' decided here.
+ * @returns                         		- none
+ * @summary                         		- Sends a control command to the specified Slave and waits for its acknowledgement.
+ * @author                          		- Gaurav Kishore
+ * @date                            		- 15 - Oct - 2025
  */
-
-MasterNode.prototype.sendControlToSlave = function (slaveId, action) {
+MasterNode.prototype.sendControlToSlave = function (slaveId, action, objParams, callback) {
   let self = this;
+  const command = Object.assign({}, objParams, { action: action });
+  const done = function (result) {
+    logger.info(`[Master] Command ${command.commandId || ""} '${action}' for ${slaveId}: ${result.outcome}`);
+    if (typeof callback === "function") callback(result);
+  };
   try 
   {
     const slaveSocket = self._connectedSlaves.get(slaveId);
     if (slaveSocket) 
-	 {
-      slaveSocket.emit("control", { action: action });
+    {
+      slaveSocket.timeout(CONFIG_PARAMS.CONTROL_TIMEOUT_MS).emit("control", command, (err, result) => {
+        if (err)
+        {
+          return done({ commandId: command.commandId, slaveId: slaveId, action: action, outcome: "timeout" });
+        }
+        done(result);
+      });
       logger.info(`[Master] Sent '${action}' command to slave ${slaveId}.`);
     } 
-	 else 
+    else 
     {
       logger.warn(`[Master] Attempted to send command to disconnected slave: ${slaveId}`);
+      done({ commandId: command.commandId, slaveId: slaveId, action: action, outcome: "slave-offline" });
     }
   } 
   catch (err) 
   {
     logger.error("[Master] Error: ", err);
+    done({ commandId: command.commandId, slaveId: slaveId, action: action, outcome: "error", message: err.message });
   }
 };
 
+/**
+ * @method                          		- sendControlToTag
+ * @param {string} strTag           		- The tag (or group) selecting the slaves, e.g. 'line:3'.
+ * @param {string} action           		- The control action, as for sendControlToSlave.
+ * @param {object} [objParams]       		- Extra action parameters, sent to every selected slave.
+ * @param {function} [callback]      		- Called once every slave answered or timed out, with
+ *                                       	  { commandId, tag, action, outcome, results } where results holds the
+ *                                       	  per-slave results of sendControlToSlave. outcome is the slaves' common
+ *                                       	  outcome, 'partial' when they differ, or 'not-found' when no configured
+ *                                       	  slave has the tag.
+ * @returns                         		- none
+ * @summary                         		- Sends a control command to every configured slave with the tag, in parallel.
+ *                                       	  Disconnected slaves are reported as 'slave-offline'.
+ * @date                            		- 19 - Oct - 2026
+ */
+MasterNode.prototype.sendControlToTag = function (strTag, action, objParams, callback) {
+  let self = this;
+  const done = typeof callback === "function" ? callback : () => {};
+  const slaveIds = self._config.config
+    .filter((entry) => (entry.tags || []).includes(strTag))
+    .map((entry) => entry.slaveIp);
+  const group = { commandId: objParams && objParams.commandId, tag: strTag, action: action };
+  if (slaveIds.length === 0)
+  {
+    logger.warn(`[Master] No configured slave has the tag '${strTag}'.`);
+    return done(Object.assign(group, { outcome: "not-found", results: [] }));
+  }
+
+  logger.info(`[Master] Sending '${action}' to ${slaveIds.length} slaves tagged '${strTag}': ${slaveIds.join(", ")}`);
+  const results = new Array(slaveIds.length);
+  let nPending = slaveIds.length;
+  slaveIds.forEach((slaveId, nIndex) => {
+    self.sendControlToSlave(slaveId, action, objParams, (result) => {
+      results[nIndex] = result;
+      if (--nPending > 0) return;
+      const outcomes = new Set(results.map((slaveResult) => slaveResult.outcome));
+      const strOutcome = outcomes.size === 1 ? results[0].outcome : "partial";
+      logger.info(`[Master] Command ${group.commandId || ""} '${action}' for tag '${strTag}': ${strOutcome}`);
+      done(Object.assign(group, { outcome: strOutcome, results: results }));
+    });
+  });
+};
+
 /**
  * @method                          		- watchConfigFile
  * @param                           		- none
  * @returns                         		- none
  * @summary                         		- Watches the configuration file for changes and reloads/sends updates to Slaves as needed.
+ *                                       	  The directory is watched, so saves that replace the file (write to a temporary
+ *                                       	  file and rename) are seen too; bursts of events cause a single reload.
  * @author                          		- Gaurav Kishore
  * @date                            		- 15 - Oct - 2025
  */
@@ -312,20 +872,12 @@ MasterNode.prototype.watchConfigFile = function () {
     // Initial load
     self.loadConfig();
 
-    fs.watch(self._strConfigFilePath, (eventType, filename) => {
-      if (eventType === "change") 
-		{
-        logger.info(`[Master] Config file changed. Reloading and redistributing...`);
-        const loaded = self.loadConfig();
-        if (loaded) 
-		  {
-          // Resend config to all currently connected slaves
-          for (const slaveId of self._connectedSlaves.keys()) 
-			 {
-            self.sendConfigToSlave(slaveId);
-          }
-        }
-      }
+    const strConfigFileName = path.basename(self._strConfigFilePath);
+    fs.watch(path.dirname(self._strConfigFilePath), (eventType, filename) => {
+      if (filename !== strConfigFileName) return;
+      // Editors save in several writes; wait until the file has settled
+      clearTimeout(self._reloadTimer);
+      self._reloadTimer = setTimeout(() => self.reloadConfig(), CONFIG_PARAMS.CONFIG_RELOAD_DEBOUNCE_MS);
     });
   } 
   catch (err) 
@@ -334,4 +886,556 @@ MasterNode.prototype.watchConfigFile = function () {
   }
 };
 
+/**
+ * @method                          		- reloadConfig
+ * @param                           		- none
+ * @returns                         		- none
+ * @summary                         		- Reloads the configuration file and pushes the new configuration only to the
+ *                                       	  connected slaves whose entry was added or changed.
+ * @date                            		- 19 - Oct - 2026
+ */
+MasterNode.prototype.reloadConfig = function () {
+  let self = this;
+  try
+  {
+    logger.info(`[Master] Config file changed. Reloading...`);
+    if (!self.loadConfig())
+    {
+      logger.warn("[Master] Keeping the last valid configuration.");
+    }
+  }
+  catch (err)
+  {
+    logger.error("[Master] Error: ", err);
+  }
+};
+
+/**
+ * @method                          		- applyConfig
+ * @param {object} config           		- A master configuration.
+ * @param {object} meta             		- { source, author?, comment? } recorded in the history.
+ * @returns {object}                		- { ok: false, errors } if the configuration is invalid, else
+ *                                       	  { ok: true, version, source, added, changed, removed }.
+ * @summary                         		- Validates a configuration, makes it the running one, records it in the history
+ *                                       	  and pushes it to the connected slaves whose entry was added or changed.
+ * @date                            		- 19 - Oct - 2026
+ */
+MasterNode.prototype.applyConfig = function (config, meta) {
+  let self = this;
+  const errors = validateMasterConfig(config);
+  if (errors.length > 0)
+  {
+    const rejected = { ok: false, errors: errors };
+    self.reportConfigStatus(rejected);
+    return rejected;
+  }
+
+  const previous = self._config;
+  if (stableStringify(config) === stableStringify(previous))
+  {
+    // E.g. the watcher reloading a file a rollback just wrote
+    logger.info("[Master] Configuration unchanged.");
+    const latest = self._configHistory.latest();
+    return { ok: true, version: latest && latest.version, source: meta.source, added: [], changed: [], removed: [] };
+  }
+  self._config = config;
+  const version = self._configHistory.record(config, meta);
+  const diff = diffMasterConfigs(previous, config);
+  logger.info(`[Master] Configuration version ${version.version} (${meta.source}) applied: added [${diff.added}], changed [${diff.changed}], removed [${diff.removed}], unchanged [${diff.unchanged}]`);
+
+  diff.added.forEach((slaveId) => {
+    const slaveSocket = self._connectedSlaves.get(slaveId);
+    if (!slaveSocket || slaveSocket.data.approved) return;
+    slaveSocket.data.approved = true; // Its packets are accepted from now on
+    self._liveness.track(slaveId, slaveSocket);
+  });
+  diff.added.concat(diff.changed).forEach((slaveId) => {
+    if (self._connectedSlaves.has(slaveId)) self.sendConfigToSlave(slaveId);
+  });
+  // A slave given an entry, by approval or by editing the file, is no longer pending or rejected
+  const resolved = diff.added.filter((slaveId) => self._registrations.isPending(slaveId) || self._registrations.getRejection(slaveId));
+  resolved.forEach((slaveId) => self._registrations.resolve(slaveId));
+  if (resolved.length > 0) self.reportRegistrations();
+  diff.removed.forEach((slaveId) => {
+    if (self._connectedSlaves.has(slaveId))
+    {
+      logger.warn(`[Master] Slave ${slaveId} was removed from the configuration; it keeps running its last configuration.`);
+    }
+  });
+
+  const applied = {
+    ok: true,
+    version: version.version,
+    source: meta.source,
+    added: diff.added,
+    changed: diff.changed,
+    removed: diff.removed,
+  };
+  self.reportConfigStatus(applied);
+  return applied;
+};
+
+/**
+ * @method                          		- writeConfigFile
+ * @param {object} config           		- The configuration to save.
+ * @returns                         		- none
+ * @summary                         		- Replaces master_config.json atomically (temporary file and rename), so the file
+ *                                       	  watcher never reads a half-written file.
+ * @date                            		- 19 - Oct - 2026
+ */
+MasterNode.prototype.writeConfigFile = function (config) {
+  let self = this;
+  const strTmpPath = self._strConfigFilePath + ".tmp";
+  fs.writeFileSync(strTmpPath, JSON.stringify(config, null, 2) + "\n");
+  fs.renameSync(strTmpPath, self._strConfigFilePath);
+};
+
+/**
+ * @method                          		- commitConfig
+ * @param {object} config           		- A master configuration.
+ * @param {object} meta             		- { source, author?, comment? } recorded in the history.
+ * @returns {object}                		- As applyConfigFile, or { ok: false, code: 'invalid', errors } if the configuration
+ *                                       	  fails validation; master_config.json is then left untouched.
+ * @summary                         		- Saves a configuration the master made itself (editor save, rollback, approval) to
+ *                                       	  master_config.json and applies the file the same way the watcher's hot reload does,
+ *                                       	  so what runs is always what the file holds. It is applied here rather than left to
+ *                                       	  the watcher so the request gets the new version at once and it is recorded with its
+ *                                       	  author and comment; the watcher's reload that follows finds it unchanged.
+ * @date                            		- 19 - Oct - 2026
+ */
+MasterNode.prototype.commitConfig = function (config, meta) {
+  let self = this;
+  // E.g. a history version that no longer validates must not replace the file the master starts from
+  const errors = validateMasterConfig(config);
+  if (errors.length > 0) return { ok: false, code: "invalid", errors: errors };
+  self.writeConfigFile(config);
+  return self.applyConfigFile(meta);
+};
+
+/**
+ * @method                          		- rollbackConfig
+ * @param {number} nVersion         		- The version to restore.
+ * @param {object} [meta]           		- { author, comment, source } recorded with the new version; source defaults
+ *                                       	  to 'rollback'.
+ * @returns {object}                		- As commitConfig, or { ok: false, code: 'not-found', errors } for an unknown version.
+ * @summary                         		- Restores an earlier configuration: saves it to master_config.json, records it
+ *                                       	  as a new 'rollback' version and pushes it to the slaves whose entry differs.
+ * @date                            		- 19 - Oct - 2026
+ */
+MasterNode.prototype.rollbackConfig = function (nVersion, meta) {
+  let self = this;
+  const objMeta = meta || {};
+  const entry = self._configHistory.get(nVersion);
+  if (!entry)
+  {
+    return { ok: false, code: "not-found", errors: [`Unknown configuration version ${nVersion}.`] };
+  }
+  logger.info(`[Master] Rolling back to configuration version ${entry.version}${objMeta.author ? ` for ${objMeta.author}` : ""}.`);
+  return self.commitConfig(entry.config, {
+    source: objMeta.source || "rollback",
+    author: objMeta.author,
+    comment: objMeta.comment || `Rollback to version ${entry.version}`,
+  });
+};
+
+/**
+ * @method                          		- handleConfigHistoryRequest
+ * @param {object} request          		- { action: 'list' } | { action: 'get', version }
+ *                                       	  | { action: 'diff', from, to } | { action: 'rollback', version, author?, comment? }
+ * @param {function} ack            		- Called with { versions } / { version } / { diff } / the rollback result,
+ *                                       	  or { error, code } with code 'not-found' for unknown versions and 'invalid' for
+ *                                       	  a version that no longer passes validation.
+ * @returns                         		- none
+ * @summary                         		- Answers the webserver's configuration history requests.
+ * @date                            		- 19 - Oct - 2026
+ */
+MasterNode.prototype.handleConfigHistoryRequest = function (request, ack) {
+  let self = this;
+  if (typeof ack !== "function") return;
+  try
+  {
+    switch (request.action)
+    {
+      case "list":
+        return ack({ versions: self._configHistory.list() });
+      case "get":
+      {
+        const version = self._configHistory.get(request.version);
+        return ack(version ? { version: version } : { error: `Unknown configuration version ${request.version}.`, code: "not-found" });
+      }
+      case "diff":
+      {
+        const diff = self._configHistory.diff(request.from, request.to);
+        return ack(diff ? { diff: diff } : { error: `Unknown configuration version ${request.from} or ${request.to}.`, code: "not-found" });
+      }
+      case "rollback":
+      {
+        const result = self.rollbackConfig(request.version, { author: request.author, comment: request.comment });
+        return ack(result.ok ? result : { error: result.errors.join(" "), code: result.code || "invalid", errors: result.errors });
+      }
+      default:
+        return ack({ error: `Unknown configuration history action '${request.action}'.` });
+    }
+  }
+  catch (err)
+  {
+    logger.error("[Master] Error: ", err);
+    ack({ error: err.message });
+  }
+};
+
+/**
+ * @method                          		- previewConfig
+ * @param {object} config           		- A master configuration, e.g. from the dashboard's editor.
+ * @returns {object}                		- { ok, errors, version, diff }: the validation errors, the version the preview
+ *                                       	  was made against and, if valid, describeConfigChanges from the running
+ *                                       	  configuration.
+ * @summary                         		- Checks a configuration and shows what saving it would change, without saving.
+ * @date                            		- 19 - Oct - 2026
+ */
+MasterNode.prototype.previewConfig = function (config) {
+  let self = this;
+  const latest = self._configHistory.latest();
+  const errors = validateMasterConfig(config);
+  return {
+    ok: errors.length === 0,
+    errors: errors,
+    version: latest ? latest.version : null,
+    diff: errors.length === 0 ? describeConfigChanges(self._config, config) : null,
+  };
+};
+
+/**
+ * @method                          		- saveConfig
+ * @param {object} config           		- The new master configuration.
+ * @param {object} [meta]           		- { author, comment, baseVersion }: baseVersion is the version the edit started
+ *                                       	  from; the save is refused if the configuration changed since.
+ * @returns {object}                		- As applyConfig, or { ok: false, code, errors } with code 'invalid' or 'conflict'.
+ * @summary                         		- Saves a configuration edited in the dashboard to master_config.json, records it
+ *                                       	  as an 'editor' version and pushes it to the slaves whose entry changed.
+ * @date                            		- 19 - Oct - 2026
+ */
+MasterNode.prototype.saveConfig = function (config, meta) {
+  let self = this;
+  const objMeta = meta || {};
+  const errors = validateMasterConfig(config);
+  if (errors.length > 0) return { ok: false, code: "invalid", errors: errors };
+
+  const latest = self._configHistory.latest();
+  if (objMeta.baseVersion !== undefined && latest && latest.version !== objMeta.baseVersion)
+  {
+    return {
+      ok: false,
+      code: "conflict",
+      errors: [`The configuration changed since version ${objMeta.baseVersion} (now version ${latest.version}); reload it and edit again.`],
+    };
+  }
+
+  logger.info(`[Master] Saving the configuration from the editor${objMeta.author ? ` for ${objMeta.author}` : ""}.`);
+  return self.commitConfig(config, { source: "editor", author: objMeta.author, comment: objMeta.comment });
+};
+
+/**
+ * @method                          		- handleMasterConfigRequest
+ * @param {object} request          		- { action: 'get' } | { action: 'preview', config }
+ *                                       	  | { action: 'save', config, baseVersion?, author?, comment? }
+ * @param {function} ack            		- Called with { config, version } / the preview / the save result, or
+ *                                       	  { error, code, errors } with code 'invalid' or 'conflict'.
+ * @returns                         		- none
+ * @summary                         		- Answers the webserver's requests of the configuration editor.
+ * @date                            		- 19 - Oct - 2026
+ */
+MasterNode.prototype.handleMasterConfigRequest = function (request, ack) {
+  let self = this;
+  if (typeof ack !== "function") return;
+  try
+  {
+    switch (request.action)
+    {
+      case "get":
+      {
+        const latest = self._configHistory.latest();
+        return ack({ config: self._config, version: latest ? latest.version : null });
+      }
+      case "preview":
+        return ack(self.previewConfig(request.config));
+      case "save":
+      {
+        const result = self.saveConfig(request.config, {
+          author: request.author,
+          comment: request.comment,
+          baseVersion: request.baseVersion,
+        });
+        return ack(result.ok ? result : { error: result.errors.join(" "), code: result.code || "invalid", errors: result.errors });
+      }
+      default:
+        return ack({ error: `Unknown configuration action '${request.action}'.` });
+    }
+  }
+  catch (err)
+  {
+    logger.error("[Master] Error: ", err);
+    ack({ error: err.message });
+  }
+};
+
+/**
+ * @method                          		- approveSlave
+ * @param {string} slaveId          		- A pending or rejected slave.
+ * @param {object} request          		- { handlers?, tags?, template?, author?, comment? }: the entry is the named
+ *                                       	  template from master_config.json, with 'handlers' and 'tags' replacing the
+ *                                       	  template's when given.
+ * @returns {object}                		- As applyConfig, or { ok: false, code, errors } with code 'not-found' (no such
+ *                                       	  pending slave or template) or 'invalid'.
+ * @summary                         		- Adds a config entry for the slave, saves it to master_config.json, records it
+ *                                       	  as an 'approval' version and pushes it to the slave if it is connected; a
+ *                                       	  rejected slave gets it on its next reconnect.
+ * @date                            		- 19 - Oct - 2026
+ */
+MasterNode.prototype.approveSlave = function (slaveId, request) {
+  let self = this;
+  const objRequest = request || {};
+  const fail = (strCode, strError) => ({ ok: false, code: strCode, errors: [strError] });
+  if (self._config.config.some((entry) => entry.slaveIp === slaveId))
+  {
+    return fail("invalid", `Slave '${slaveId}' is already configured.`);
+  }
+  if (!self._registrations.isPending(slaveId) && !self._registrations.getRejection(slaveId))
+  {
+    return fail("not-found", `Slave '${slaveId}' is not waiting for approval.`);
+  }
+
+  let entry = { slaveIp: slaveId };
+  if (objRequest.template !== undefined)
+  {
+    const template = (self._config.templates || {})[objRequest.template];
+    if (!template) return fail("not-found", `Unknown slave template '${objRequest.template}'.`);
+    entry = Object.assign(entry, JSON.parse(JSON.stringify(template)));
+  }
+  if (objRequest.tags !== undefined) entry.tags = objRequest.tags;
+  if (objRequest.handlers !== undefined) entry.handlers = objRequest.handlers;
+
+  const config = Object.assign({}, self._config, { config: self._config.config.concat([entry]) });
+  const errors = validateMasterConfig(config);
+  if (errors.length > 0) return { ok: false, code: "invalid", errors: errors };
+
+  logger.info(`[Master] Approving slave ${slaveId}${objRequest.author ? ` for ${objRequest.author}` : ""}.`);
+  return self.commitConfig(config, {
+    source: "approval",
+    author: objRequest.author,
+    comment: objRequest.comment || `Approved slave ${slaveId}`,
+  });
+};
+
+/**
+ * @method                          		- rejectSlave
+ * @param {string} slaveId          		- A pending slave.
+ * @param {object} [meta]           		- { author, reason }
+ * @returns {object}                		- { ok: true, slaveId, rejection } or { ok: false, code, errors }.
+ * @summary                         		- Rejects a slave: it is disconnected now and every time it identifies again,
+ *                                       	  until it is approved or given an entry in master_config.json. The slave
+ *                                       	  reconnects every SLAVE_AUTH_RETRY_MS, so a later approval reaches it.
+ * @date                            		- 19 - Oct - 2026
+ */
+MasterNode.prototype.rejectSlave = function (slaveId, meta) {
+  let self = this;
+  if (self._config.config.some((entry) => entry.slaveIp === slaveId))
+  {
+    return { ok: false, code: "invalid", errors: [`Slave '${slaveId}' is configured; remove its entry instead.`] };
+  }
+  if (!self._registrations.isPending(slaveId))
+  {
+    return { ok: false, code: "not-found", errors: [`Slave '${slaveId}' is not waiting for approval.`] };
+  }
+  const rejection = self._registrations.reject(slaveId, meta);
+  const slaveSocket = self._connectedSlaves.get(slaveId);
+  if (slaveSocket) slaveSocket.disconnect(true);
+  self.reportRegistrations();
+  return { ok: true, slaveId: slaveId, rejection: rejection };
+};
+
+/**
+ * @method                          		- handleRegistrationRequest
+ * @param {object} request          		- { action: 'list' } | { action: 'approve', slaveId, handlers?, template?,
+ *                                       	  author?, comment? } | { action: 'reject', slaveId, author?, reason? }
+ * @param {function} ack            		- Called with the list, the approval or rejection result, or { error, code }.
+ * @returns                         		- none
+ * @summary                         		- Answers the webserver's requests about slaves waiting for approval.
+ * @date                            		- 19 - Oct - 2026
+ */
+MasterNode.prototype.handleRegistrationRequest = function (request, ack) {
+  let self = this;
+  if (typeof ack !== "function") return;
+  try
+  {
+    let result;
+    switch (request.action)
+    {
+      case "list":
+        return ack(self._registrations.list());
+      case "approve":
+        result = self.approveSlave(request.slaveId, request);
+        break;
+      case "reject":
+        result = self.rejectSlave(request.slaveId, { author: request.author, reason: request.reason });
+        break;
+      default:
+        return ack({ error: `Unknown registration action '${request.action}'.` });
+    }
+    ack(result.ok ? result : { error: result.errors.join(" "), code: result.code || "invalid", errors: result.errors });
+  }
+  catch (err)
+  {
+    logger.error("[Master] Error: ", err);
+    ack({ error: err.message });
+  }
+};
+
+/**
+ * @method                          		- reportRegistrations
+ * @param                           		- none
+ * @returns                         		- none
+ * @summary                         		- Sends the pending and rejected slaves to the webserver as 'slave-registrations'.
+ * @date                            		- 19 - Oct - 2026
+ */
+MasterNode.prototype.reportRegistrations = function () {
+  let self = this;
+  try
+  {
+    if (self._webserverSocket) self._webserverSocket.emit("slave-registrations", self._registrations.list());
+  }
+  catch (err)
+  {
+    logger.error("[Master] Error: ", err);
+  }
+};
+
+/**
+ * @method                          		- runScheduledJob
+ * @param {object} job              		- A due job (see Scheduler).
+ * @param {function} callback       		- Called with { outcome, ... }: the control result (with one result per slave
+ *                                       	  for a tag), or { outcome: 'success' | 'error', version, message } for a
+ *                                       	  configuration switch.
+ * @returns                         		- none
+ * @summary                         		- Executes a scheduled job.
+ * @date                            		- 19 - Oct - 2026
+ */
+MasterNode.prototype.runScheduledJob = function (job, callback) {
+  let self = this;
+  const strAuthor = job.author ? `${job.author} (scheduled)` : "scheduler";
+  if (job.kind === "config-version")
+  {
+    const result = self.rollbackConfig(job.version, {
+      source: "schedule",
+      author: strAuthor,
+      comment: `Scheduled job ${job.name || job.id}: switch to version ${job.version}`,
+    });
+    return callback(result.ok
+      ? { outcome: "success", version: result.version }
+      : { outcome: "error", message: result.errors.join(" ") });
+  }
+
+  const params = Object.assign({}, job.params, { commandId: `job-${job.id}-${Date.now()}` });
+  if (job.handler !== undefined) params.handler = job.handler;
+  if (job.tag !== undefined) self.sendControlToTag(job.tag, job.action, params, callback);
+  else self.sendControlToSlave(job.slaveId, job.action, params, callback);
+};
+
+/**
+ * @method                          		- reportScheduleEvent
+ * @param {object} event            		- { type: 'run' | 'failed' | 'missed', jobId, name, ... } from the Scheduler.
+ * @returns                         		- none
+ * @summary                         		- Sends a scheduler event to the webserver as 'schedule-event'.
+ * @date                            		- 19 - Oct - 2026
+ */
+MasterNode.prototype.reportScheduleEvent = function (event) {
+  let self = this;
+  try
+  {
+    if (self._webserverSocket) self._webserverSocket.emit("schedule-event", Object.assign({ timestamp: new Date().toISOString() }, event));
+  }
+  catch (err)
+  {
+    logger.error("[Master] Error: ", err);
+  }
+};
+
+/**
+ * @method                          		- handleScheduleRequest
+ * @param {object} request          		- { action: 'list' } | { action: 'add', job, author? }
+ *                                       	  | { action: 'update', jobId, changes } | { action: 'remove', jobId }
+ * @param {function} ack            		- Called with { jobs } / { job } / { ok }, or { error, code, errors } with code
+ *                                       	  'not-found' or 'invalid'.
+ * @returns                         		- none
+ * @summary                         		- Answers the webserver's requests about scheduled jobs.
+ * @date                            		- 19 - Oct - 2026
+ */
+MasterNode.prototype.handleScheduleRequest = function (request, ack) {
+  let self = this;
+  if (typeof ack !== "function") return;
+  try
+  {
+    let result;
+    switch (request.action)
+    {
+      case "list":
+        return ack({ jobs: self._scheduler.list() });
+      case "add":
+        result = self._scheduler.add(request.job, request.author);
+        break;
+      case "update":
+        result = self._scheduler.update(request.jobId, request.changes || {});
+        break;
+      case "remove":
+        return ack(self._scheduler.remove(request.jobId)
+          ? { ok: true }
+          : { error: `Unknown job '${request.jobId}'.`, code: "not-found" });
+      default:
+        return ack({ error: `Unknown schedule action '${request.action}'.` });
+    }
+    ack(result.ok ? { job: result.job } : { error: result.errors.join(" "), code: result.code || "invalid", errors: result.errors });
+  }
+  catch (err)
+  {
+    logger.error("[Master] Error: ", err);
+    ack({ error: err.message });
+  }
+};
+
+/**
+ * @method                          		- reportConfigStatus
+ * @param {object} status           		- { ok: false, errors } or the result of applyConfig.
+ * @returns                         		- none
+ * @summary                         		- Logs the outcome of a configuration load and sends it to the webserver
+ *                                       	  as 'config-status'.
+ * @date                            		- 19 - Oct - 2026
+ */
+MasterNode.prototype.reportConfigStatus = function (status) {
+  let self = this;
+  try
+  {
+    const event = Object.assign({ timestamp: new Date().toISOString() }, status);
+    if (!event.ok)
+    {
+      logger.error(`[Master] Invalid configuration in ${self._strConfigFilePath}:`);
+      event.errors.forEach((strError) => logger.error(`[Master]   ${strError}`));
+    }
+    if (self._webserverSocket) self._webserverSocket.emit("config-status", event);
+  }
+  catch (err)
+  {
+    logger.error("[Master] Error: ", err);
+  }
+};
+
+// One-line summary of a health report for the log
+function describeHealth(data)
+{
+  const metrics = data.metrics;
+  if (!metrics) return data.status;
+  const handlers = Object.keys(data.handlers || {}).map((strType) => `${strType}=${data.handlers[strType].state}`);
+  return `${data.status} | up ${metrics.uptimeS} s, cpu ${metrics.cpuPercent}%, heap ${metrics.heapPercent}%, ` +
+    `lag ${metrics.eventLoopLagMs} ms, disk ${metrics.diskFreeMb} MB free | handlers ${handlers.join(" ") || "none"}`;
+}
+
 module.exports = { MasterNode };
@@ -0,0 +1,378 @@
+const fs = require("fs");
+const { randomUUID } = require("crypto");
+const logger = require("../config/logger")("masternode");
+const { parseCron, nextCronRun } = require("./cronSchedule");
+
+// Fields a job is created or updated with; the scheduler adds id, author, createdAt, nextRunAt, lastRun and missed counts
+const JOB_FIELDS = ["name", "enabled", "cron", "at", "kind", "slaveId", "tag", "action", "handler", "params", "version"];
+const JOB_KINDS = ["control", "config-version"];
+const MAX_COUNTED_MISSES = 1000; // Missed runs counted at once after a long outage; later ones are skipped uncounted
+
+/**
+ * @class                              		- Scheduler
+ * @extends                            		- none
+ * @param {string} strFilePath         		- Path to the schedule file: { "jobs": [ ... ] }
+ * @param {object} objOptions          		- { tickMs, missedAfterMs, runJob(job, callback), onEvent(event) }:
+ *                                       	  runJob executes a due job and calls back with { outcome, ... } (outcome
+ *                                       	  'success' or anything else for a failure); onEvent receives every run,
+ *                                       	  failure and missed run.
+ * @constructor
+ * @description                        		- Runs jobs at fixed times: recurring ones ('cron', see cronSchedule.js) and
+ *                                       	  one-off ones ('at', an ISO date). A job is a control command for a slave or a
+ *                                       	  tag ('control': action, optional handler and params) or a switch to a
+ *                                       	  configuration version ('config-version'). Jobs and their last results are
+ *                                       	  saved after every change, so the schedule survives restarts. A run more than
+ *                                       	  missedAfterMs late, e.g. because the master was down, is not executed but
+ *                                       	  reported as missed.
+ * @date                               		- 19 - Oct - 2026
+ */
+function Scheduler(strFilePath, objOptions)
+{
+  let self = this;
+  self._strFilePath = strFilePath;
+  self._nTickMs = objOptions.tickMs;
+  self._nMissedAfterMs = objOptions.missedAfterMs;
+  self._fnRunJob = objOptions.runJob;
+  self._fnOnEvent = objOptions.onEvent || (() => {});
+  self._jobs = new Map(); // Job ID -> job
+  self._intervalId = null;
+}
+
+/**
+ * @method                             		- start
+ * @param                              		- none
+ * @returns                            		- none
+ * @summary                            		- Loads the schedule, reports the runs missed while the master was down and
+ *                                       	  starts checking for due jobs.
+ * @date                               		- 19 - Oct - 2026
+ */
+Scheduler.prototype.start = function () {
+  let self = this;
+  if (self._intervalId) return;
+  self._read().forEach((job) => self._jobs.set(job.id, job));
+  logger.info(`[Scheduler] Loaded ${self._jobs.size} jobs from ${self._strFilePath}`);
+  self.tick();
+  self._intervalId = setInterval(() => self.tick(), self._nTickMs);
+};
+
+/**
+ * @method                             		- stop
+ * @param                              		- none
+ * @returns                            		- none
+ * @summary                            		- Stops checking for due jobs.
+ * @date                               		- 19 - Oct - 2026
+ */
+Scheduler.prototype.stop = function () {
+  let self = this;
+  clearInterval(self._intervalId);
+  self._intervalId = null;
+};
+
+/**
+ * @method                             		- list
+ * @param                              		- none
+ * @returns {object[]}                 		- Every job, the next to run first; jobs that will not run again come last.
+ * @summary                            		- Lists the schedule.
+ * @date                               		- 19 - Oct - 2026
+ */
+Scheduler.prototype.list = function () {
+  let self = this;
+  return Array.from(self._jobs.values()).sort((a, b) => {
+    if (a.nextRunAt === b.nextRunAt) return a.createdAt.localeCompare(b.createdAt);
+    if (!a.nextRunAt) return 1;
+    if (!b.nextRunAt) return -1;
+    return a.nextRunAt.localeCompare(b.nextRunAt);
+  });
+};
+
+/**
+ * @method                             		- add
+ * @param {object} spec                		- The job's fields (see JOB_FIELDS and validateJob).
+ * @param {string} [strAuthor]         		- Who created the job.
+ * @returns {object}                   		- { ok: true, job } or { ok: false, errors }.
+ * @summary                            		- Adds a job to the schedule. A one-off job must be in the future.
+ * @date                               		- 19 - Oct - 2026
+ */
+Scheduler.prototype.add = function (spec, strAuthor) {
+  let self = this;
+  const errors = validateJob(spec);
+  if (errors.length === 0 && spec.at !== undefined && new Date(spec.at) <= new Date()) errors.push("at: is in the past.");
+  if (errors.length > 0) return { ok: false, errors: errors };
+
+  const job = Object.assign({ enabled: true }, pickJobFields(spec), {
+    id: randomUUID(),
+    author: strAuthor || null,
+    createdAt: new Date().toISOString(),
+    lastRun: null,
+    missedRuns: 0,
+    lastMissedAt: null,
+  });
+  job.nextRunAt = computeNextRun(job, new Date());
+  self._jobs.set(job.id, job);
+  self._write();
+  logger.info(`[Scheduler] Added job ${describeJob(job)}, next run ${job.nextRunAt}`);
+  return { ok: true, job: job };
+};
+
+/**
+ * @method                             		- update
+ * @param {string} strJobId            		- The job to change.
+ * @param {object} changes             		- The fields to change; null removes a field (e.g. { at: "...", cron: null }).
+ * @returns {object}                   		- { ok: true, job } or { ok: false, code, errors } with code 'not-found' or
+ *                                       	  'invalid'.
+ * @summary                            		- Changes a job. Its next run is computed again from now.
+ * @date                               		- 19 - Oct - 2026
+ */
+Scheduler.prototype.update = function (strJobId, changes) {
+  let self = this;
+  const job = self._jobs.get(strJobId);
+  if (!job) return { ok: false, code: "not-found", errors: [`Unknown job '${strJobId}'.`] };
+
+  const spec = Object.assign(pickJobFields(job), changes);
+  Object.keys(spec).forEach((strKey) => {
+    if (spec[strKey] === null) delete spec[strKey];
+  });
+  const errors = validateJob(spec);
+  if (errors.length === 0 && changes.at !== undefined && new Date(spec.at) <= new Date()) errors.push("at: is in the past.");
+  if (errors.length > 0) return { ok: false, code: "invalid", errors: errors };
+
+  JOB_FIELDS.forEach((strKey) => delete job[strKey]);
+  Object.assign(job, pickJobFields(spec));
+  job.nextRunAt = computeNextRun(job, new Date());
+  self._write();
+  logger.info(`[Scheduler] Updated job ${describeJob(job)}, next run ${job.nextRunAt}`);
+  return { ok: true, job: job };
+};
+
+/**
+ * @method                             		- remove
+ * @param {string} strJobId            		- The job to delete.
+ * @returns {boolean}                  		- False if there is no such job.
+ * @summary                            		- Deletes a job.
+ * @date                               		- 19 - Oct - 2026
+ */
+Scheduler.prototype.remove = function (strJobId) {
+  let self = this;
+  const job = self._jobs.get(strJobId);
+  if (!job) return false;
+  self._jobs.delete(strJobId);
+  self._write();
+  logger.info(`[Scheduler] Removed job ${describeJob(job)}`);
+  return true;
+};
+
+/**
+ * @method                             		- tick
+ * @param                              		- none
+ * @returns                            		- none
+ * @summary                            		- Runs the enabled jobs that are due and reports those that are too late.
+ * @date                               		- 19 - Oct - 2026
+ */
+Scheduler.prototype.tick = function () {
+  let self = this;
+  try
+  {
+    const now = new Date();
+    let bChanged = false;
+    self._jobs.forEach((job) => {
+      if (!job.enabled || !job.nextRunAt || new Date(job.nextRunAt) > now) return;
+      bChanged = true;
+
+      // Skip, and count, the runs that are too late; a run that is only a little late still happens
+      const strFirstMissed = job.nextRunAt;
+      let nMissed = 0;
+      while (job.nextRunAt && now - new Date(job.nextRunAt) > self._nMissedAfterMs && nMissed < MAX_COUNTED_MISSES)
+      {
+        nMissed++;
+        job.nextRunAt = computeNextRun(job, new Date(job.nextRunAt));
+      }
+      // Past the counting limit the rest of the backlog is skipped too: resume at the first run still to come
+      if (job.nextRunAt && now - new Date(job.nextRunAt) > self._nMissedAfterMs) job.nextRunAt = computeNextRun(job, now);
+      if (nMissed > 0) self._reportMissed(job, strFirstMissed, nMissed);
+      if (job.nextRunAt && new Date(job.nextRunAt) <= now) self._run(job, now);
+    });
+    if (bChanged) self._write();
+  }
+  catch (err)
+  {
+    logger.error("[Scheduler] Error: ", err);
+  }
+};
+
+/**
+ * @method                             		- _run
+ * @param {object} job                 		- A due job.
+ * @param {Date} now                   		- The time of the check; the next run is computed from it.
+ * @returns                            		- none
+ * @summary                            		- Executes a job and records its result when it comes back.
+ * @date                               		- 19 - Oct - 2026
+ */
+Scheduler.prototype._run = function (job, now) {
+  let self = this;
+  const strScheduledAt = job.nextRunAt;
+  job.nextRunAt = computeNextRun(job, now);
+  logger.info(`[Scheduler] Running job ${describeJob(job)} (scheduled ${strScheduledAt})`);
+
+  const finish = (result) => {
+    job.lastRun = Object.assign({ scheduledAt: strScheduledAt, finishedAt: new Date().toISOString() }, result);
+    self._write();
+    const bFailed = result.outcome !== "success";
+    if (bFailed) logger.warn(`[Scheduler] Job ${describeJob(job)} failed: ${result.outcome}${result.message ? ` (${result.message})` : ""}`);
+    self._fnOnEvent({ type: bFailed ? "failed" : "run", jobId: job.id, name: job.name || null, result: job.lastRun });
+  };
+  try
+  {
+    self._fnRunJob(job, finish);
+  }
+  catch (err)
+  {
+    finish({ outcome: "error", message: err.message });
+  }
+};
+
+/**
+ * @method                             		- _reportMissed
+ * @param {object} job                 		- The job.
+ * @param {string} strScheduledAt      		- The first missed run.
+ * @param {number} nCount              		- How many runs were missed.
+ * @returns                            		- none
+ * @summary                            		- Counts and reports missed runs.
+ * @date                               		- 19 - Oct - 2026
+ */
+Scheduler.prototype._reportMissed = function (job, strScheduledAt, nCount) {
+  let self = this;
+  job.missedRuns += nCount;
+  job.lastMissedAt = strScheduledAt;
+  logger.warn(`[Scheduler] Job ${describeJob(job)} missed ${nCount} run(s) since ${strScheduledAt}`);
+  self._fnOnEvent({ type: "missed", jobId: job.id, name: job.name || null, scheduledAt: strScheduledAt, count: nCount });
+};
+
+/**
+ * @method                             		- _read
+ * @param                              		- none
+ * @returns {object[]}                 		- The saved jobs; none if the file is missing or unreadable.
+ * @summary                            		- Reads the schedule file.
+ * @date                               		- 19 - Oct - 2026
+ */
+Scheduler.prototype._read = function () {
+  let self = this;
+  try
+  {
+    return JSON.parse(fs.readFileSync(self._strFilePath, "utf8")).jobs || [];
+  }
+  catch (err)
+  {
+    if (err.code !== "ENOENT") logger.error(`[Scheduler] Error reading ${self._strFilePath}: ${err.message}`);
+    return [];
+  }
+};
+
+/**
+ * @method                             		- _write
+ * @param                              		- none
+ * @returns                            		- none
+ * @summary                            		- Saves the schedule atomically.
+ * @date                               		- 19 - Oct - 2026
+ */
+Scheduler.prototype._write = function () {
+  let self = this;
+  try
+  {
+    fs.writeFileSync(self._strFilePath + ".tmp", JSON.stringify({ jobs: Array.from(self._jobs.values()) }, null, 2));
+    fs.renameSync(self._strFilePath + ".tmp", self._strFilePath);
+  }
+  catch (err)
+  {
+    logger.error(`[Scheduler] Error saving ${self._strFilePath}: ${err.message}`);
+  }
+};
+
+/**
+ * @method                             		- validateJob
+ * @param {object} spec                		- The job's fields.
+ * @returns {string[]}                 		- One message per problem, each starting with the field; empty when valid.
+ * @summary                            		- Checks a job: exactly one of 'cron' and 'at' (in the future); for 'control'
+ *                                       	  an 'action' and exactly one of 'slaveId' and 'tag'; for 'config-version'
+ *                                       	  a 'version'.
+ * @date                               		- 19 - Oct - 2026
+ */
+function validateJob(spec)
+{
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) return ["job: must be an object."];
+  const errors = [];
+  Object.keys(spec).forEach((strKey) => {
+    if (!JOB_FIELDS.includes(strKey)) errors.push(`${strKey}: unknown field.`);
+  });
+  if (spec.name !== undefined && typeof spec.name !== "string") errors.push("name: must be a string.");
+  if (spec.enabled !== undefined && typeof spec.enabled !== "boolean") errors.push("enabled: must be true or false.");
+
+  if ((spec.cron === undefined) === (spec.at === undefined))
+  {
+    errors.push("cron / at: exactly one of them is required.");
+  }
+  else if (spec.cron !== undefined)
+  {
+    try
+    {
+      parseCron(spec.cron);
+    }
+    catch (err)
+    {
+      errors.push(`cron: ${err.message}`);
+    }
+  }
+  else if (Number.isNaN(Date.parse(spec.at)))
+  {
+    errors.push("at: must be an ISO date, e.g. 2026-10-20T06:00:00Z.");
+  }
+
+  if (!JOB_KINDS.includes(spec.kind))
+  {
+    errors.push(`kind: must be one of ${JOB_KINDS.join(", ")}.`);
+  }
+  else if (spec.kind === "control")
+  {
+    if (typeof spec.action !== "string" || spec.action === "") errors.push("action: is required.");
+    if ((spec.slaveId === undefined) === (spec.tag === undefined)) errors.push("slaveId / tag: exactly one of them is required.");
+    if (spec.handler !== undefined && typeof spec.handler !== "string") errors.push("handler: must be a string.");
+    if (spec.params !== undefined && (typeof spec.params !== "object" || Array.isArray(spec.params)))
+    {
+      errors.push("params: must be an object.");
+    }
+  }
+  else if (!Number.isInteger(spec.version) || spec.version < 1)
+  {
+    errors.push("version: must be a configuration version number.");
+  }
+  return errors;
+}
+
+// The job's own fields, without what the scheduler keeps about it
+function pickJobFields(job)
+{
+  const spec = {};
+  JOB_FIELDS.forEach((strKey) => {
+    if (job[strKey] !== undefined) spec[strKey] = job[strKey];
+  });
+  return spec;
+}
+
+// ISO time of the job's next run after the given time, null if it has none ('at' in the past, impossible cron)
+function computeNextRun(job, after)
+{
+  if (job.at !== undefined)
+  {
+    const at = new Date(job.at);
+    return at > after ? at.toISOString() : null;
+  }
+  const next = nextCronRun(parseCron(job.cron), after);
+  return next ? next.toISOString() : null;
+}
+
+function describeJob(job)
+{
+  const strTarget = job.kind === "control" ? `'${job.action}' for ${job.tag !== undefined ? `tag ${job.tag}` : job.slaveId}` : `config version ${job.version}`;
+  return `${job.name ? `'${job.name}' ` : ""}(${job.id}, ${strTarget})`;
+}
+
+module.exports = { Scheduler, validateJob };
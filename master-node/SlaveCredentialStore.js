@@ -0,0 +1,146 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const logger = require("../config/logger")("masternode");
+const { signSlaveToken } = require("../config/slaveAuth");
+
+/**
+ * @class                              		- SlaveCredentialStore
+ * @extends                            		- none
+ * @param {string} strFilePath         		- Path to the credential file:
+ *                                       	  { "slaves": { "<slaveId>": { "secret": "<hex>", "revoked": false } } }
+ * @param {number} nMaxSkewMs          		- How far a token's timestamp may be from the master's clock.
+ * @constructor
+ * @description                        		- Verifies the tokens slaves present in the Socket.IO handshake (see
+ *                                       	  config/slaveAuth.js). The file is read on every verification, so
+ *                                       	  enrolments and revocations apply without a restart.
+ * @date                               		- 19 - Oct - 2026
+ */
+function SlaveCredentialStore(strFilePath, nMaxSkewMs)
+{
+  let self = this;
+  self._strFilePath = strFilePath;
+  self._nMaxSkewMs = nMaxSkewMs;
+}
+
+/**
+ * @method                             		- verify
+ * @param {object} token               		- The 'auth' payload of the handshake.
+ * @returns {object}                   		- { ok: true, slaveId } or { ok: false, slaveId, reason }.
+ * @summary                            		- Checks a slave token against the store.
+ * @date                               		- 19 - Oct - 2026
+ */
+SlaveCredentialStore.prototype.verify = function (token) {
+  let self = this;
+  const slaveId = token && typeof token.id === "string" ? token.id : null;
+  const reject = (strReason) => ({ ok: false, slaveId: slaveId, reason: strReason });
+
+  if (!slaveId || !token.timestamp || typeof token.signature !== "string")
+  {
+    return reject("missing credentials");
+  }
+  const credential = self._read().slaves[slaveId];
+  if (!credential)
+  {
+    return reject("unknown slave");
+  }
+  if (credential.revoked)
+  {
+    return reject("revoked");
+  }
+  if (Math.abs(Date.now() - Number(token.timestamp)) > self._nMaxSkewMs)
+  {
+    return reject("token expired");
+  }
+
+  const expected = Buffer.from(signSlaveToken(credential.secret, slaveId, token.timestamp), "hex");
+  const received = Buffer.from(token.signature, "hex");
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received))
+  {
+    return reject("bad signature");
+  }
+  return { ok: true, slaveId: slaveId };
+};
+
+/**
+ * @method                             		- enroll
+ * @param {string} strSlaveId          		- The slave to enrol.
+ * @returns {string}                   		- The new secret, to be placed in the slave's credential file.
+ * @summary                            		- Creates (or rotates) a slave's secret and clears any revocation.
+ * @date                               		- 19 - Oct - 2026
+ */
+SlaveCredentialStore.prototype.enroll = function (strSlaveId) {
+  let self = this;
+  const store = self._read();
+  const secret = crypto.randomBytes(32).toString("hex");
+  store.slaves[strSlaveId] = { secret: secret, revoked: false };
+  self._write(store);
+  logger.info(`[Credentials] Enrolled slave ${strSlaveId}`);
+  return secret;
+};
+
+/**
+ * @method                             		- revoke
+ * @param {string} strSlaveId          		- The slave to revoke.
+ * @returns {boolean}                  		- False if the slave is not in the store.
+ * @summary                            		- Marks a slave's credentials as revoked; its next handshake is refused.
+ * @date                               		- 19 - Oct - 2026
+ */
+SlaveCredentialStore.prototype.revoke = function (strSlaveId) {
+  let self = this;
+  const store = self._read();
+  if (!store.slaves[strSlaveId]) return false;
+  store.slaves[strSlaveId].revoked = true;
+  self._write(store);
+  logger.info(`[Credentials] Revoked slave ${strSlaveId}`);
+  return true;
+};
+
+/**
+ * @method                             		- isActive
+ * @param {string} strSlaveId          		- The slave ID.
+ * @returns {boolean}                  		- True if the slave is enrolled and not revoked.
+ * @summary                            		- Lets the master drop live connections whose credentials were revoked.
+ * @date                               		- 19 - Oct - 2026
+ */
+SlaveCredentialStore.prototype.isActive = function (strSlaveId) {
+  let self = this;
+  const credential = self._read().slaves[strSlaveId];
+  return Boolean(credential) && !credential.revoked;
+};
+
+/**
+ * @method                             		- _read
+ * @param                              		- none
+ * @returns {object}                   		- The store content; empty if the file is missing or unreadable.
+ * @summary                            		- Reads the credential file.
+ * @date                               		- 19 - Oct - 2026
+ */
+SlaveCredentialStore.prototype._read = function () {
+  let self = this;
+  try
+  {
+    const store = JSON.parse(fs.readFileSync(self._strFilePath, "utf8"));
+    if (!store.slaves) store.slaves = {};
+    return store;
+  }
+  catch (err)
+  {
+    if (err.code !== "ENOENT") logger.error(`[Credentials] Error reading ${self._strFilePath}: ${err.message}`);
+    return { slaves: {} };
+  }
+};
+
+/**
+ * @method                             		- _write
+ * @param {object} store               		- The store content.
+ * @returns                            		- none
+ * @summary                            		- Writes the credential file atomically.
+ * @date                               		- 19 - Oct - 2026
+ */
+SlaveCredentialStore.prototype._write = function (store) {
+  let self = this;
+  fs.writeFileSync(self._strFilePath + ".tmp", JSON.stringify(store, null, 2));
+  fs.renameSync(self._strFilePath + ".tmp", self._strFilePath);
+};
+
+module.exports = { SlaveCredentialStore };
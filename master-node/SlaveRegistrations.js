@@ -0,0 +1,185 @@
+const fs = require("fs");
+const logger = require("../config/logger")("masternode");
+
+/**
+ * @class                              		- SlaveRegistrations
+ * @extends                            		- none
+ * @param {string} strFilePath         		- Path to the file of rejected slaves:
+ *                                       	  { "rejected": { "<slaveId>": { "rejectedAt": "...", "author": "...", "reason": "..." } } }
+ * @constructor
+ * @description                        		- Slaves that authenticated but have no entry in master_config.json wait here
+ *                                       	  until an operator approves or rejects them. Pending slaves live in memory
+ *                                       	  (they identify again after a master restart); rejections are kept in the
+ *                                       	  file so a rejected slave stays rejected.
+ * @date                               		- 19 - Oct - 2026
+ */
+function SlaveRegistrations(strFilePath)
+{
+  let self = this;
+  self._strFilePath = strFilePath;
+  self._pending = new Map(); // Slave ID -> { slaveId, capabilities, address, mode, firstSeen, lastSeen, connected }
+}
+
+/**
+ * @method                             		- addPending
+ * @param {string} strSlaveId          		- The slave ID proven in the handshake.
+ * @param {object} info                		- { capabilities, address, mode } reported when the slave identified.
+ * @returns {object}                   		- The pending entry.
+ * @summary                            		- Queues a slave for approval, or refreshes its entry if it is already queued.
+ * @date                               		- 19 - Oct - 2026
+ */
+SlaveRegistrations.prototype.addPending = function (strSlaveId, info) {
+  let self = this;
+  const strNow = new Date().toISOString();
+  const previous = self._pending.get(strSlaveId);
+  const entry = {
+    slaveId: strSlaveId,
+    capabilities: info.capabilities || null,
+    address: info.address || null,
+    mode: info.mode || null,
+    firstSeen: previous ? previous.firstSeen : strNow,
+    lastSeen: strNow,
+    connected: true,
+  };
+  self._pending.set(strSlaveId, entry);
+  if (!previous) logger.info(`[Registrations] Slave ${strSlaveId} from ${entry.address} is waiting for approval`);
+  return entry;
+};
+
+/**
+ * @method                             		- setDisconnected
+ * @param {string} strSlaveId          		- The slave that disconnected.
+ * @returns {boolean}                  		- False if the slave is not pending.
+ * @summary                            		- Keeps a pending slave in the queue but marks it as disconnected.
+ * @date                               		- 19 - Oct - 2026
+ */
+SlaveRegistrations.prototype.setDisconnected = function (strSlaveId) {
+  let self = this;
+  const entry = self._pending.get(strSlaveId);
+  if (!entry) return false;
+  entry.connected = false;
+  entry.lastSeen = new Date().toISOString();
+  return true;
+};
+
+/**
+ * @method                             		- isPending
+ * @param {string} strSlaveId          		- The slave ID.
+ * @returns {boolean}                  		- True if the slave waits for approval.
+ * @summary                            		- Checks the queue.
+ * @date                               		- 19 - Oct - 2026
+ */
+SlaveRegistrations.prototype.isPending = function (strSlaveId) {
+  let self = this;
+  return self._pending.has(strSlaveId);
+};
+
+/**
+ * @method                             		- getRejection
+ * @param {string} strSlaveId          		- The slave ID.
+ * @returns {object|null}              		- { rejectedAt, author, reason }, or null if the slave is not rejected.
+ * @summary                            		- Looks up a rejection.
+ * @date                               		- 19 - Oct - 2026
+ */
+SlaveRegistrations.prototype.getRejection = function (strSlaveId) {
+  let self = this;
+  return self._read().rejected[strSlaveId] || null;
+};
+
+/**
+ * @method                             		- reject
+ * @param {string} strSlaveId          		- The slave to reject.
+ * @param {object} [meta]              		- { author, reason }
+ * @returns {object}                   		- The rejection.
+ * @summary                            		- Removes a slave from the queue and remembers it as rejected.
+ * @date                               		- 19 - Oct - 2026
+ */
+SlaveRegistrations.prototype.reject = function (strSlaveId, meta) {
+  let self = this;
+  const objMeta = meta || {};
+  const store = self._read();
+  const rejection = {
+    rejectedAt: new Date().toISOString(),
+    author: objMeta.author || null,
+    reason: objMeta.reason || null,
+  };
+  store.rejected[strSlaveId] = rejection;
+  self._write(store);
+  self._pending.delete(strSlaveId);
+  logger.info(`[Registrations] Rejected slave ${strSlaveId}${rejection.author ? ` (${rejection.author})` : ""}`);
+  return rejection;
+};
+
+/**
+ * @method                             		- resolve
+ * @param {string} strSlaveId          		- The slave that got a config entry.
+ * @returns                            		- none
+ * @summary                            		- Takes an approved slave off the queue and clears any rejection.
+ * @date                               		- 19 - Oct - 2026
+ */
+SlaveRegistrations.prototype.resolve = function (strSlaveId) {
+  let self = this;
+  self._pending.delete(strSlaveId);
+  const store = self._read();
+  if (store.rejected[strSlaveId])
+  {
+    delete store.rejected[strSlaveId];
+    self._write(store);
+  }
+};
+
+/**
+ * @method                             		- list
+ * @param                              		- none
+ * @returns {object}                   		- { pending: [...], rejected: [{ slaveId, rejectedAt, author, reason }] },
+ *                                       	  oldest first.
+ * @summary                            		- Lists the queue and the rejected slaves.
+ * @date                               		- 19 - Oct - 2026
+ */
+SlaveRegistrations.prototype.list = function () {
+  let self = this;
+  const rejected = self._read().rejected;
+  return {
+    pending: Array.from(self._pending.values()).sort((a, b) => a.firstSeen.localeCompare(b.firstSeen)),
+    rejected: Object.keys(rejected)
+      .map((strSlaveId) => Object.assign({ slaveId: strSlaveId }, rejected[strSlaveId]))
+      .sort((a, b) => a.rejectedAt.localeCompare(b.rejectedAt)),
+  };
+};
+
+/**
+ * @method                             		- _read
+ * @param                              		- none
+ * @returns {object}                   		- The file content; no rejections if it is missing or unreadable.
+ * @summary                            		- Reads the rejection file.
+ * @date                               		- 19 - Oct - 2026
+ */
+SlaveRegistrations.prototype._read = function () {
+  let self = this;
+  try
+  {
+    const store = JSON.parse(fs.readFileSync(self._strFilePath, "utf8"));
+    if (!store.rejected) store.rejected = {};
+    return store;
+  }
+  catch (err)
+  {
+    if (err.code !== "ENOENT") logger.error(`[Registrations] Error reading ${self._strFilePath}: ${err.message}`);
+    return { rejected: {} };
+  }
+};
+
+/**
+ * @method                             		- _write
+ * @param {object} store               		- The file content.
+ * @returns                            		- none
+ * @summary                            		- Writes the rejection file atomically.
+ * @date                               		- 19 - Oct - 2026
+ */
+SlaveRegistrations.prototype._write = function (store) {
+  let self = this;
+  fs.writeFileSync(self._strFilePath + ".tmp", JSON.stringify(store, null, 2));
+  fs.renameSync(self._strFilePath + ".tmp", self._strFilePath);
+};
+
+module.exports = { SlaveRegistrations };
@@ -0,0 +1,481 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const logger = require("../config/logger")("masternode");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEGMENT_PATTERN = /^(\d{4}-\d{2}-\d{2})(\.ds)?\.ndjson$/;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T/; // Also keeps the segment name derived from it inside the data directory
+
+/**
+ * @class                              		- TimeSeriesStore
+ * @extends                            		- none
+ * @param {string} strDataDir          		- Directory holding the segment files.
+ * @param {object} objOptions          		- { retentionMs, downsampleAfterMs, downsampleBucketMs, flushIntervalMs }
+ * @constructor
+ * @description                        		- Embedded, file-based time-series store for the packets the master receives.
+ *                                       	  Records are appended to one NDJSON segment per UTC day ('2025-10-23.ndjson').
+ *                                       	  Segments older than 'downsampleAfterMs' are rewritten as per-bucket
+ *                                       	  min / max / mean sensor records ('2025-10-23.ds.ndjson'); segments older than
+ *                                       	  'retentionMs' are deleted.
+ *                                       	  A record is { timestamp, kind, slaveId, handler?, value?, unit?, status? } where
+ *                                       	  kind is 'sensor' or 'health'.
+ * @date                               		- 19 - Oct - 2026
+ */
+function TimeSeriesStore(strDataDir, objOptions)
+{
+  let self = this;
+  self._strDataDir = strDataDir;
+  self._nRetentionMs = objOptions.retentionMs;
+  self._nDownsampleAfterMs = objOptions.downsampleAfterMs;
+  self._nDownsampleBucketMs = objOptions.downsampleBucketMs;
+  self._nFlushIntervalMs = objOptions.flushIntervalMs || 1000;
+
+  self._pending = []; // Records waiting for the next flush
+  self._flushTimer = null;
+  self._maintenanceTimer = null;
+  self._bMaintaining = false; // A pass can outlast the timer period on a large store
+
+  fs.mkdirSync(strDataDir, { recursive: true });
+}
+
+/**
+ * @method                             		- start
+ * @param                              		- none
+ * @returns                            		- none
+ * @summary                            		- Starts the periodic flush and the hourly retention / downsampling pass.
+ * @date                               		- 19 - Oct - 2026
+ */
+TimeSeriesStore.prototype.start = function () {
+  let self = this;
+  self._flushTimer = setInterval(() => self.flush(), self._nFlushIntervalMs);
+  self._maintenanceTimer = setInterval(() => self.maintain(), 60 * 60 * 1000);
+  self.maintain();
+};
+
+/**
+ * @method                             		- stop
+ * @param                              		- none
+ * @returns                            		- none
+ * @summary                            		- Stops the timers and writes what is pending.
+ * @date                               		- 19 - Oct - 2026
+ */
+TimeSeriesStore.prototype.stop = function () {
+  let self = this;
+  clearInterval(self._flushTimer);
+  clearInterval(self._maintenanceTimer);
+  self.flush();
+};
+
+/**
+ * @method                             		- append
+ * @param {object} record              		- The record to store. 'timestamp' defaults to now.
+ * @returns                            		- none
+ * @summary                            		- Queues a record; it is written on the next flush. The timestamp comes from
+ *                                       	  the slave, so it is normalized to an ISO string and a record whose
+ *                                       	  timestamp is not a valid date is dropped.
+ * @date                               		- 19 - Oct - 2026
+ */
+TimeSeriesStore.prototype.append = function (record) {
+  let self = this;
+  const date = record.timestamp ? new Date(record.timestamp) : new Date();
+  const strTimestamp = isNaN(date.getTime()) ? null : date.toISOString();
+  if (!strTimestamp || !TIMESTAMP_PATTERN.test(strTimestamp))
+  {
+    logger.warn(`[Store] Dropped a record of ${record.slaveId} with invalid timestamp ${JSON.stringify(record.timestamp)}`);
+    return;
+  }
+  record.timestamp = strTimestamp;
+  self._pending.push(record);
+};
+
+/**
+ * @method                             		- appendPacket
+ * @param {object} data                		- A 'sensor-data' or 'health-status' packet, or a slave state change.
+ * @returns                            		- none
+ * @summary                            		- Converts a slave packet to a store record and queues it.
+ * @date                               		- 19 - Oct - 2026
+ */
+TimeSeriesStore.prototype.appendPacket = function (data) {
+  let self = this;
+  if (data.handler !== undefined && data.value !== undefined)
+  {
+    self.append({
+      timestamp: data.timestamp,
+      kind: "sensor",
+      slaveId: data.slaveIp,
+      handler: data.handler,
+      value: data.value,
+      unit: data.unit || null,
+    });
+  }
+  else if (data.status)
+  {
+    const record = { timestamp: data.timestamp, kind: "health", slaveId: data.slaveIp, status: data.status };
+    if (data.reason) record.reason = data.reason; // State changes from the liveness monitor
+    if (data.metrics) // Health reports: the slave's own rating and what it is based on
+    {
+      record.metrics = data.metrics;
+      record.reasons = data.reasons || [];
+    }
+    self.append(record);
+  }
+};
+
+/**
+ * @method                             		- flush
+ * @param                              		- none
+ * @returns                            		- none
+ * @summary                            		- Appends the pending records to their day segments.
+ * @date                               		- 19 - Oct - 2026
+ */
+TimeSeriesStore.prototype.flush = function () {
+  let self = this;
+  if (self._pending.length === 0) return;
+  const records = self._pending;
+  self._pending = [];
+
+  try
+  {
+    // Replayed readings can belong to an earlier day than live ones
+    const bySegment = new Map();
+    for (const record of records)
+    {
+      const strDay = record.timestamp.slice(0, 10);
+      if (!bySegment.has(strDay)) bySegment.set(strDay, []);
+      bySegment.get(strDay).push(JSON.stringify(record) + "\n");
+    }
+    bySegment.forEach((lines, strDay) => {
+      fs.appendFileSync(path.join(self._strDataDir, `${strDay}.ndjson`), lines.join(""));
+    });
+  }
+  catch (err)
+  {
+    logger.error(`[Store] Error writing records: ${err.message}`);
+  }
+};
+
+/**
+ * @method                             		- createQueryStream
+ * @param {object} objFilter           		- { slaveId?, handler?, kind?, from?, to? } (from / to as ISO strings or ms).
+ * @returns {Readable}                 		- An object-mode stream of the matching records in segment order.
+ * @summary                            		- Streams matching records without loading whole segments in memory.
+ *                                       	  Throws an error with code 'invalid' if from / to is not a valid date.
+ * @date                               		- 19 - Oct - 2026
+ */
+TimeSeriesStore.prototype.createQueryStream = function (objFilter) {
+  let self = this;
+  const filter = objFilter || {};
+  ["from", "to"].forEach((key) => {
+    if (filter[key] !== undefined && isNaN(new Date(filter[key]).getTime()))
+    {
+      throw invalidQuery(`'${key}' is not a valid date.`);
+    }
+  });
+  self.flush();
+  return Readable.from(self._iterate(filter));
+};
+
+/**
+ * @method                             		- query
+ * @param {object} objQuery            		- The createQueryStream filter plus 'limit' (most recent N records kept)
+ *                                       	  and 'bucketMs' (downsample sensor records to per-bucket means).
+ * @param {function} callback          		- Called with (err, records).
+ * @returns                            		- none
+ * @summary                            		- Collects the records matching a query. Sensor records are bucketed as they
+ *                                       	  are read, so only one aggregate per bucket is kept in memory. An invalid
+ *                                       	  from / to / bucketMs is an error with code 'invalid'.
+ * @date                               		- 19 - Oct - 2026
+ */
+TimeSeriesStore.prototype.query = function (objQuery, callback) {
+  let self = this;
+  const nLimit = objQuery.limit || 5000;
+  const nBucketMs = objQuery.bucketMs;
+  const buckets = nBucketMs ? new Map() : null;
+  let records = [];
+
+  let stream;
+  try
+  {
+    if (nBucketMs !== undefined && !(nBucketMs > 0)) throw invalidQuery("'bucketMs' must be a positive number.");
+    stream = self.createQueryStream(objQuery);
+  }
+  catch (err)
+  {
+    return callback(err);
+  }
+  stream.on("data", (record) => {
+    if (buckets && record.kind === "sensor") return addToBucket(buckets, record, nBucketMs);
+    records.push(record);
+    if (records.length > nLimit * 2) records = records.slice(-nLimit); // Keep memory bounded
+  });
+  stream.on("error", (err) => callback(err));
+  stream.on("end", () => {
+    if (buckets) records = records.concat(finishBuckets(buckets));
+    records.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp)); // Replayed readings arrive late
+    callback(null, records.slice(-nLimit));
+  });
+};
+
+/**
+ * @method                             		- maintain
+ * @param                              		- none
+ * @returns {Promise}                  		- Resolved when the pass is over; it never rejects.
+ * @summary                            		- Deletes segments past retention and downsamples segments past the raw window,
+ *                                       	  one segment at a time. A pass still running when the next one is due is
+ *                                       	  not doubled.
+ * @date                               		- 19 - Oct - 2026
+ */
+TimeSeriesStore.prototype.maintain = async function () {
+  let self = this;
+  if (self._bMaintaining) return;
+  self._bMaintaining = true;
+  try
+  {
+    const now = Date.now();
+    for (const segment of self._listSegments())
+    {
+      try
+      {
+        const nDayEnd = segment.dayStart + DAY_MS;
+        if (nDayEnd < now - self._nRetentionMs)
+        {
+          fs.unlinkSync(segment.path);
+          logger.info(`[Store] Removed expired segment ${segment.name}`);
+        }
+        else if (!segment.downsampled && nDayEnd < now - self._nDownsampleAfterMs)
+        {
+          await self._downsampleSegment(segment);
+        }
+      }
+      catch (err)
+      {
+        logger.error(`[Store] Maintenance failed for ${segment.name}: ${err.message}`);
+      }
+    }
+  }
+  catch (err)
+  {
+    logger.error(`[Store] Maintenance failed: ${err.message}`);
+  }
+  finally
+  {
+    self._bMaintaining = false;
+  }
+};
+
+/**
+ * @method                             		- _downsampleSegment
+ * @param {object} segment             		- A segment from _listSegments.
+ * @returns {Promise}                  		- Resolved once the segment is rewritten.
+ * @summary                            		- Rewrites a raw segment with bucketed sensor records; health records are kept.
+ *                                       	  Records already in the day's downsampled segment are merged in. Both files
+ *                                       	  are streamed, so only one aggregate per bucket is held in memory and the
+ *                                       	  event loop is free meanwhile. Health records keep their file order and the
+ *                                       	  buckets follow them in time order.
+ * @date                               		- 19 - Oct - 2026
+ */
+TimeSeriesStore.prototype._downsampleSegment = async function (segment) {
+  let self = this;
+  const strTarget = segment.path.replace(/\.ndjson$/, ".ds.ndjson");
+  const nSize = fs.statSync(segment.path).size; // Records flushed while this runs are kept for the next pass
+  const buckets = new Map();
+  let nRecords = 0;
+  let nResult = 0;
+
+  const lines = async function* () {
+    // Late replayed readings can land in a day that was already downsampled: merge them in
+    const sources = [readRecords(segment.path, nSize)];
+    if (fs.existsSync(strTarget)) sources.unshift(readRecords(strTarget));
+    for (const records of sources)
+    {
+      for await (const record of records)
+      {
+        nRecords++;
+        if (record.kind === "sensor")
+        {
+          addToBucket(buckets, record, self._nDownsampleBucketMs);
+          continue;
+        }
+        nResult++;
+        yield JSON.stringify(record) + "\n";
+      }
+    }
+    const bucketRecords = finishBuckets(buckets).sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+    for (const record of bucketRecords)
+    {
+      nResult++;
+      yield JSON.stringify(record) + "\n";
+    }
+  };
+  await pipeline(Readable.from(lines()), fs.createWriteStream(strTarget + ".tmp"));
+
+  // Synchronous from here on, so no flush gets in between
+  const nNewSize = fs.statSync(segment.path).size;
+  fs.renameSync(strTarget + ".tmp", strTarget);
+  if (nNewSize > nSize)
+  {
+    const tail = Buffer.alloc(nNewSize - nSize);
+    const fd = fs.openSync(segment.path, "r");
+    fs.readSync(fd, tail, 0, tail.length, nSize);
+    fs.closeSync(fd);
+    fs.writeFileSync(segment.path, tail);
+  }
+  else
+  {
+    fs.unlinkSync(segment.path);
+  }
+  logger.info(`[Store] Downsampled ${segment.name}: ${nRecords} -> ${nResult} records`);
+};
+
+/**
+ * @method                             		- _listSegments
+ * @param                              		- none
+ * @returns {object[]}                 		- { name, path, dayStart, downsampled } sorted by day.
+ * @summary                            		- Lists the segment files of the store.
+ * @date                               		- 19 - Oct - 2026
+ */
+TimeSeriesStore.prototype._listSegments = function () {
+  let self = this;
+  return fs
+    .readdirSync(self._strDataDir)
+    .map((name) => ({ name: name, match: SEGMENT_PATTERN.exec(name) }))
+    .filter((entry) => entry.match)
+    .map((entry) => ({
+      name: entry.name,
+      path: path.join(self._strDataDir, entry.name),
+      dayStart: Date.parse(entry.match[1] + "T00:00:00Z"),
+      downsampled: Boolean(entry.match[2]),
+    }))
+    .sort((a, b) => a.dayStart - b.dayStart);
+};
+
+/**
+ * @method                             		- _iterate
+ * @param {object} objFilter           		- See createQueryStream.
+ * @returns {AsyncGenerator}           		- The matching records.
+ * @summary                            		- Reads the segments overlapping the range line by line and yields matches.
+ * @date                               		- 19 - Oct - 2026
+ */
+TimeSeriesStore.prototype._iterate = async function* (objFilter) {
+  let self = this;
+  const nFrom = objFilter.from !== undefined ? new Date(objFilter.from).getTime() : -Infinity;
+  const nTo = objFilter.to !== undefined ? new Date(objFilter.to).getTime() : Infinity;
+
+  for (const segment of self._listSegments())
+  {
+    if (segment.dayStart + DAY_MS <= nFrom || segment.dayStart > nTo) continue;
+    for await (const record of readRecords(segment.path))
+    {
+      const nTime = Date.parse(record.timestamp);
+      if (nTime < nFrom || nTime > nTo) continue;
+      if (objFilter.slaveId && record.slaveId !== objFilter.slaveId) continue;
+      if (objFilter.handler && record.handler !== objFilter.handler) continue;
+      if (objFilter.kind && record.kind !== objFilter.kind) continue;
+      yield record;
+    }
+  }
+};
+
+/**
+ * @method                          		- invalidQuery
+ * @param {string} strMessage       		- What is wrong with the query.
+ * @returns {Error}                 		- An error with code 'invalid'.
+ * @summary                         		- Builds the error of a query the store refuses.
+ * @date                            		- 19 - Oct - 2026
+ */
+function invalidQuery(strMessage)
+{
+  const err = new Error(strMessage);
+  err.code = "invalid";
+  return err;
+}
+
+/**
+ * @method                          		- addToBucket
+ * @param {Map} buckets             		- Open buckets by slave / handler / bucket start.
+ * @param {object} record           		- A sensor record, raw or already downsampled.
+ * @param {number} nBucketMs        		- Bucket width.
+ * @returns                         		- none
+ * @summary                         		- Merges a sensor record into its bucket; records may come in any order.
+ * @date                            		- 19 - Oct - 2026
+ */
+function addToBucket(buckets, record, nBucketMs)
+{
+  const nBucket = Math.floor(Date.parse(record.timestamp) / nBucketMs) * nBucketMs;
+  const strKey = `${record.slaveId}|${record.handler}|${nBucket}`;
+  let bucket = buckets.get(strKey);
+  if (!bucket)
+  {
+    bucket = {
+      timestamp: new Date(nBucket).toISOString(),
+      kind: "sensor",
+      slaveId: record.slaveId,
+      handler: record.handler,
+      unit: record.unit,
+      sum: 0,
+      count: 0,
+      min: Infinity,
+      max: -Infinity,
+      bucketMs: nBucketMs,
+    };
+    buckets.set(strKey, bucket);
+  }
+  // Already downsampled records carry their own count / min / max
+  const nCount = record.count || 1;
+  bucket.sum += record.value * nCount;
+  bucket.count += nCount;
+  bucket.min = Math.min(bucket.min, record.min !== undefined ? record.min : record.value);
+  bucket.max = Math.max(bucket.max, record.max !== undefined ? record.max : record.value);
+}
+
+/**
+ * @method                          		- finishBuckets
+ * @param {Map} buckets             		- Buckets filled by addToBucket.
+ * @returns {object[]}              		- One sensor record { value: mean, min, max, count } per bucket.
+ * @summary                         		- Turns the bucket sums into means.
+ * @date                            		- 19 - Oct - 2026
+ */
+function finishBuckets(buckets)
+{
+  return Array.from(buckets.values()).map((record) => {
+    const { sum, ...bucket } = record;
+    bucket.value = sum / bucket.count;
+    return bucket;
+  });
+}
+
+/**
+ * @method                          		- readRecords
+ * @param {string} strPath          		- A segment file.
+ * @param {number} [nEnd]           		- Byte offset to stop at; the whole file when omitted.
+ * @returns {AsyncGenerator}        		- Its records in file order.
+ * @summary                         		- Reads a segment line by line. A line that does not parse, such as one
+ *                                       	  partially written before a crash, is skipped with a warning.
+ * @date                            		- 19 - Oct - 2026
+ */
+async function* readRecords(strPath, nEnd)
+{
+  if (nEnd === 0) return;
+  const input = fs.createReadStream(strPath, nEnd !== undefined ? { end: nEnd - 1 } : {});
+  const lines = readline.createInterface({ input: input, crlfDelay: Infinity });
+  for await (const line of lines)
+  {
+    if (!line.trim()) continue;
+    let record;
+    try
+    {
+      record = JSON.parse(line);
+    }
+    catch (err)
+    {
+      logger.warn(`[Store] Skipped an unreadable line in ${path.basename(strPath)}: ${err.message}`);
+      continue;
+    }
+    yield record;
+  }
+}
+
+module.exports = { TimeSeriesStore };
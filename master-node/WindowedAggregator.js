@@ -0,0 +1,157 @@
+const logger = require("../config/logger")("masternode");
+
+/**
+ * @class                              		- WindowedAggregator
+ * @extends                            		- none
+ * @param {number[]} windowsMs         		- The rolling windows, e.g. [60000, 900000].
+ * @param {number} nPublishIntervalMs  		- How often a summary is published.
+ * @param {function} fnOnSummary       		- Called with each summary (see buildSummary).
+ * @constructor
+ * @description                        		- Rolling min / max / mean / count / last per slave and handler, so dashboards
+ *                                       	  can follow the fleet without receiving every reading. Readings are placed by
+ *                                       	  their own timestamp, so readings a slave replays after an outage count in
+ *                                       	  the windows they belong to, and fall out of them as usual.
+ * @date                               		- 19 - Oct - 2026
+ */
+function WindowedAggregator(windowsMs, nPublishIntervalMs, fnOnSummary)
+{
+  let self = this;
+  self._windowsMs = windowsMs.slice().sort((a, b) => a - b);
+  self._nLongestWindowMs = self._windowsMs[self._windowsMs.length - 1];
+  self._nPublishIntervalMs = nPublishIntervalMs;
+  self._fnOnSummary = fnOnSummary;
+  self._series = new Map(); // "slaveIp|handler" -> { slaveIp, handler, unit, samples: [{ t, value }] }
+  self._intervalId = null;
+}
+
+/**
+ * @method                             		- start
+ * @param                              		- none
+ * @returns                            		- none
+ * @summary                            		- Starts publishing summaries.
+ * @date                               		- 19 - Oct - 2026
+ */
+WindowedAggregator.prototype.start = function () {
+  let self = this;
+  if (self._intervalId) return;
+  self._intervalId = setInterval(() => self.publish(), self._nPublishIntervalMs);
+};
+
+/**
+ * @method                             		- stop
+ * @param                              		- none
+ * @returns                            		- none
+ * @summary                            		- Stops publishing summaries.
+ * @date                               		- 19 - Oct - 2026
+ */
+WindowedAggregator.prototype.stop = function () {
+  let self = this;
+  clearInterval(self._intervalId);
+  self._intervalId = null;
+};
+
+/**
+ * @method                             		- add
+ * @param {object} data                		- A sensor-data packet { slaveIp, handler, value, unit, timestamp }.
+ * @returns {boolean}                  		- False if the packet is not a numeric reading or is older than every window.
+ * @summary                            		- Adds a reading to its series.
+ * @date                               		- 19 - Oct - 2026
+ */
+WindowedAggregator.prototype.add = function (data) {
+  let self = this;
+  if (!data || !data.slaveIp || !data.handler || typeof data.value !== "number" || !Number.isFinite(data.value))
+  {
+    return false;
+  }
+  const nTime = Date.parse(data.timestamp) || Date.now();
+  if (nTime < Date.now() - self._nLongestWindowMs) return false;
+
+  const strKey = `${data.slaveIp}|${data.handler}`;
+  let series = self._series.get(strKey);
+  if (!series)
+  {
+    series = { slaveIp: data.slaveIp, handler: data.handler, unit: null, samples: [] };
+    self._series.set(strKey, series);
+  }
+  if (data.unit) series.unit = data.unit;
+  series.samples.push({ t: nTime, value: data.value });
+  return true;
+};
+
+/**
+ * @method                             		- buildSummary
+ * @param {number} [nNow]              		- The end of the windows; now by default.
+ * @returns {object}                   		- { timestamp, windowsMs, series: [{ slaveIp, handler, unit,
+ *                                       	  windows: { "<ms>": { count, min, max, mean, last, lastAt } } }] }.
+ *                                       	  A window without readings has count 0 and null values.
+ * @summary                            		- Computes the aggregates, and forgets readings older than the longest
+ *                                       	  window and series without readings.
+ * @date                               		- 19 - Oct - 2026
+ */
+WindowedAggregator.prototype.buildSummary = function (nNow) {
+  let self = this;
+  const nEnd = nNow || Date.now();
+  const summary = { timestamp: new Date(nEnd).toISOString(), windowsMs: self._windowsMs, series: [] };
+
+  self._series.forEach((series, strKey) => {
+    series.samples = series.samples.filter((sample) => sample.t >= nEnd - self._nLongestWindowMs);
+    if (series.samples.length === 0)
+    {
+      self._series.delete(strKey);
+      return;
+    }
+    series.samples.sort((a, b) => a.t - b.t); // Replayed readings arrive after newer live ones
+
+    const windows = {};
+    self._windowsMs.forEach((nWindowMs) => {
+      windows[nWindowMs] = aggregate(series.samples.filter((sample) => sample.t >= nEnd - nWindowMs));
+    });
+    summary.series.push({ slaveIp: series.slaveIp, handler: series.handler, unit: series.unit, windows: windows });
+  });
+  summary.series.sort((a, b) => a.slaveIp.localeCompare(b.slaveIp) || a.handler.localeCompare(b.handler));
+  return summary;
+};
+
+/**
+ * @method                             		- publish
+ * @param                              		- none
+ * @returns                            		- none
+ * @summary                            		- Builds a summary and hands it to the callback.
+ * @date                               		- 19 - Oct - 2026
+ */
+WindowedAggregator.prototype.publish = function () {
+  let self = this;
+  try
+  {
+    self._fnOnSummary(self.buildSummary());
+  }
+  catch (err)
+  {
+    logger.error("[Aggregator] Error: ", err);
+  }
+};
+
+// Aggregates of time-sorted samples
+function aggregate(samples)
+{
+  if (samples.length === 0) return { count: 0, min: null, max: null, mean: null, last: null, lastAt: null };
+  let nMin = Infinity;
+  let nMax = -Infinity;
+  let nSum = 0;
+  samples.forEach((sample) => {
+    nMin = Math.min(nMin, sample.value);
+    nMax = Math.max(nMax, sample.value);
+    nSum += sample.value;
+  });
+  const last = samples[samples.length - 1];
+  return {
+    count: samples.length,
+    min: nMin,
+    max: nMax,
+    mean: Math.round((nSum / samples.length) * 1000) / 1000,
+    last: last.value,
+    lastAt: new Date(last.t).toISOString(),
+  };
+}
+
+module.exports = { WindowedAggregator };
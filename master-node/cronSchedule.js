@@ -0,0 +1,126 @@
+/**
+ * Five-field cron expressions, in the master's local time:
+ *
+ *   minute (0-59)  hour (0-23)  day of month (1-31)  month (1-12)  day of week (0-7, 0 and 7 are Sunday)
+ *
+ * Each field is '*', a number, a range 'a-b', a step '*' + '/n' or 'a-b/n', or a comma separated list of those.
+ * As in cron, when both the day of month and the day of week are restricted, a day matching either one matches.
+ */
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+const MAX_SEARCH_YEARS = 5; // E.g. '0 0 30 2 *' never matches
+
+/**
+ * @method                                  - parseCron
+ * @param {string} strExpression            - The cron expression.
+ * @returns {object}                        - { minutes, hours, days, months, weekdays, bAnyDay, bAnyWeekday } with a
+ *                                            Set of the allowed values per field.
+ * @summary                                 - Parses a cron expression. Throws an Error naming the bad field.
+ * @date                                    - 19 - Oct - 2026
+ */
+function parseCron(strExpression)
+{
+  const parts = typeof strExpression === "string" ? strExpression.trim().split(/\s+/) : [];
+  if (parts.length !== FIELDS.length)
+  {
+    throw new Error(`'${strExpression}' must have ${FIELDS.length} fields: minute hour day-of-month month day-of-week.`);
+  }
+  const sets = parts.map((strPart, nIndex) => parseField(strPart, FIELDS[nIndex]));
+  if (sets[4].has(7)) sets[4].add(0); // Sunday
+  return {
+    minutes: sets[0],
+    hours: sets[1],
+    days: sets[2],
+    months: sets[3],
+    weekdays: sets[4],
+    bAnyDay: parts[2] === "*",
+    bAnyWeekday: parts[4] === "*",
+  };
+}
+
+function parseField(strPart, field)
+{
+  const values = new Set();
+  strPart.split(",").forEach((strItem) => {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(strItem);
+    if (!match) throw new Error(`Bad ${field.name} '${strItem}'.`);
+    const nStep = match[4] !== undefined ? Number(match[4]) : 1;
+    let nFrom = field.min;
+    let nTo = field.max;
+    if (match[1] !== "*")
+    {
+      nFrom = Number(match[2]);
+      nTo = match[3] !== undefined ? Number(match[3]) : (match[4] !== undefined ? field.max : nFrom);
+    }
+    if (nFrom < field.min || nTo > field.max)
+    {
+      throw new Error(`Bad ${field.name} '${strItem}': values must be from ${field.min} to ${field.max}.`);
+    }
+    if (nFrom > nTo || nStep < 1)
+    {
+      throw new Error(`Bad ${field.name} '${strItem}': empty range or step.`);
+    }
+    for (let nValue = nFrom; nValue <= nTo; nValue += nStep) values.add(nValue);
+  });
+  return values;
+}
+
+/**
+ * @method                                  - nextCronRun
+ * @param {object} cron                     - A parsed expression (see parseCron).
+ * @param {Date} after                      - The search starts at the minute after this time.
+ * @returns {Date|null}                     - The next matching minute, or null if there is none within five years.
+ * @summary                                 - Finds the next time a cron expression fires.
+ * @date                                    - 19 - Oct - 2026
+ */
+function nextCronRun(cron, after)
+{
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const nLimit = after.getFullYear() + MAX_SEARCH_YEARS;
+
+  while (date.getFullYear() <= nLimit)
+  {
+    if (!cron.months.has(date.getMonth() + 1))
+    {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    }
+    else if (!dayMatches(cron, date))
+    {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    }
+    else if (!cron.hours.has(date.getHours()))
+    {
+      date.setHours(date.getHours() + 1, 0);
+    }
+    else if (!cron.minutes.has(date.getMinutes()))
+    {
+      date.setMinutes(date.getMinutes() + 1);
+    }
+    else
+    {
+      return date;
+    }
+  }
+  return null;
+}
+
+function dayMatches(cron, date)
+{
+  const bDay = cron.days.has(date.getDate());
+  const bWeekday = cron.weekdays.has(date.getDay());
+  if (cron.bAnyDay) return bWeekday;
+  if (cron.bAnyWeekday) return bDay;
+  return bDay || bWeekday;
+}
+
+module.exports = { parseCron, nextCronRun };
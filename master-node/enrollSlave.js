@@ -0,0 +1,40 @@
+const fs = require("fs");
+const path = require("path");
+const { SlaveCredentialStore } = require("./SlaveCredentialStore");
+const { CONFIG_PARAMS: config } = require("../config/Config");
+
+// Usage: node enrollSlave.js <slaveId>                - enrol (or rotate the secret of) a slave
+//        node enrollSlave.js <slaveId> --out <file>   - the same, and write the slave's credential file
+//        node enrollSlave.js <slaveId> --revoke       - revoke a slave
+// Credential files hold secrets and are not committed; see the *.example.json files for their format
+(() => {
+  const [strSlaveId, strFlag, strOutPath] = process.argv.slice(2);
+  if (!strSlaveId || (strFlag === "--out" && !strOutPath))
+  {
+    console.error("Usage: node enrollSlave.js <slaveId> [--out <slave credential file> | --revoke]");
+    process.exit(1);
+  }
+
+  const store = new SlaveCredentialStore(path.join(__dirname, "slave_credentials.json"), config.SLAVE_AUTH_MAX_SKEW_MS);
+  if (strFlag === "--revoke")
+  {
+    if (!store.revoke(strSlaveId))
+    {
+      console.error(`Slave ${strSlaveId} is not enrolled.`);
+      process.exit(1);
+    }
+    console.log(`Revoked slave ${strSlaveId}.`);
+    return;
+  }
+
+  const secret = store.enroll(strSlaveId);
+  const strCredentials = JSON.stringify({ secret: secret }, null, 2);
+  if (strFlag === "--out")
+  {
+    fs.writeFileSync(strOutPath, strCredentials + "\n", { mode: 0o600 });
+    console.log(`Enrolled slave ${strSlaveId}. Wrote its credential file ${strOutPath}.`);
+    return;
+  }
+  console.log(`Enrolled slave ${strSlaveId}. Put this in its slave/slave_credentials.json:`);
+  console.log(strCredentials);
+})();
@@ -5,7 +5,10 @@ const {CONFIG_PARAMS: config} = require('../config/Config');
 (() => {
   const master = new MasterNode(config.WEBSERVER_URL,
     config.SLAVE_PORT,
-    path.join(__dirname, "master_config.json")
+    path.join(__dirname, "master_config.json"),
+    path.join(__dirname, "data"),
+    path.join(__dirname, "slave_credentials.json"),
+    path.join(__dirname, "webserver_token.json")
   );
   master.start();
 })();
\ No newline at end of file
@@ -0,0 +1,187 @@
+const fs = require("fs");
+const logger = require("../config/logger")("slavenode");
+
+const DROP_POLICIES = ["drop-oldest", "drop-newest"];
+
+/**
+ * @class                                 	- ReadingBuffer
+ * @extends                               	- none
+ * @param {string} strFilePath            	- Path of the NDJSON file backing the queue.
+ * @param {number} nMaxReadings           	- Maximum number of readings kept.
+ * @param {string} strDropPolicy          	- What to discard when full: 'drop-oldest' or 'drop-newest'.
+ * @constructor
+ * @description                           	- Bounded on-disk FIFO of sensor readings taken while the master is unreachable.
+ *                                            Every reading is appended to the file as it arrives, so a slave restart
+ *                                            during an outage loses nothing. Readings dropped from the head stay in the
+ *                                            file until nMaxReadings of them have piled up; then it is compacted, so a
+ *                                            full buffer does not rewrite the whole file for every reading.
+ * @date                                  	- 19 - Oct - 2026
+ */
+function ReadingBuffer(strFilePath, nMaxReadings, strDropPolicy)
+{
+  let self = this;
+  self._strFilePath = strFilePath;
+  self._queue = [];
+  self._nDropped = 0; // Dropped since the last report
+  self._nStaleLines = 0; // Lines at the head of the file whose readings were dropped from the queue
+  self.configure(nMaxReadings, strDropPolicy);
+  self.load();
+}
+
+/**
+ * @method                                	- configure
+ * @param {number} nMaxReadings           	- Maximum number of readings kept.
+ * @param {string} strDropPolicy          	- 'drop-oldest' or 'drop-newest'.
+ * @returns                               	- none
+ * @summary                               	- Changes the limits, e.g. when the master sends new buffer settings.
+ * @date                                  	- 19 - Oct - 2026
+ */
+ReadingBuffer.prototype.configure = function (nMaxReadings, strDropPolicy) {
+  let self = this;
+  if (!DROP_POLICIES.includes(strDropPolicy))
+  {
+    logger.warn(`[Buffer] Unknown drop policy '${strDropPolicy}', using 'drop-oldest'.`);
+    strDropPolicy = "drop-oldest";
+  }
+  self._nMaxReadings = nMaxReadings;
+  self._strDropPolicy = strDropPolicy;
+
+  if (self._queue.length > self._nMaxReadings)
+  {
+    const nExcess = self._queue.length - self._nMaxReadings;
+    self._queue = strDropPolicy === "drop-oldest" ? self._queue.slice(nExcess) : self._queue.slice(0, self._nMaxReadings);
+    self._nDropped += nExcess;
+    self._rewrite();
+  }
+};
+
+/**
+ * @method                                	- load
+ * @param                                 	- none
+ * @returns                               	- none
+ * @summary                               	- Loads readings left over from a previous run. Corrupt lines are skipped.
+ * @date                                  	- 19 - Oct - 2026
+ */
+ReadingBuffer.prototype.load = function () {
+  let self = this;
+  try
+  {
+    if (!fs.existsSync(self._strFilePath)) return;
+    const lines = fs.readFileSync(self._strFilePath, "utf8").split("\n");
+    for (const line of lines)
+    {
+      if (!line.trim()) continue;
+      try
+      {
+        self._queue.push(JSON.parse(line));
+      }
+      catch (err)
+      {
+        logger.warn(`[Buffer] Skipping corrupt buffered reading: ${err.message}`);
+      }
+    }
+    // Readings dropped before the restart may still be at the head of the file
+    if (self._queue.length > self._nMaxReadings)
+    {
+      self._queue = self._queue.slice(-self._nMaxReadings);
+      self._rewrite();
+    }
+    if (self._queue.length > 0)
+    {
+      logger.info(`[Buffer] Loaded ${self._queue.length} buffered readings from ${self._strFilePath}`);
+    }
+  }
+  catch (err)
+  {
+    logger.error(`[Buffer] Error loading buffer file: ${err.message}`);
+  }
+};
+
+/**
+ * @method                                	- push
+ * @param {object} dataPacket             	- The reading to keep.
+ * @returns {boolean}                     	- False if the reading was dropped because the buffer is full.
+ * @summary                               	- Queues a reading, applying the drop policy when the buffer is full.
+ * @date                                  	- 19 - Oct - 2026
+ */
+ReadingBuffer.prototype.push = function (dataPacket) {
+  let self = this;
+  try
+  {
+    if (self._queue.length >= self._nMaxReadings)
+    {
+      self._nDropped++;
+      if (self._strDropPolicy === "drop-newest") return false;
+      self._queue.shift();
+      self._queue.push(dataPacket);
+      fs.appendFileSync(self._strFilePath, JSON.stringify(dataPacket) + "\n");
+      if (++self._nStaleLines >= self._nMaxReadings) self._rewrite();
+      return true;
+    }
+    self._queue.push(dataPacket);
+    fs.appendFileSync(self._strFilePath, JSON.stringify(dataPacket) + "\n");
+    return true;
+  }
+  catch (err)
+  {
+    logger.error(`[Buffer] Error writing buffer file: ${err.message}`);
+    return false;
+  }
+};
+
+/**
+ * @method                                	- drain
+ * @param {function} fnSend               	- Sends one reading; returns false to stop (e.g. the link dropped again).
+ * @returns {object}                      	- { replayed, dropped } since the last drain.
+ * @summary                               	- Replays the buffered readings in order and removes the ones sent.
+ * @date                                  	- 19 - Oct - 2026
+ */
+ReadingBuffer.prototype.drain = function (fnSend) {
+  let self = this;
+  let nReplayed = 0;
+  try
+  {
+    while (nReplayed < self._queue.length)
+    {
+      if (fnSend(self._queue[nReplayed]) === false) break;
+      nReplayed++;
+    }
+    self._queue = self._queue.slice(nReplayed);
+    self._rewrite();
+  }
+  catch (err)
+  {
+    logger.error(`[Buffer] Error draining buffer: ${err.message}`);
+  }
+  const report = { replayed: nReplayed, dropped: self._nDropped };
+  self._nDropped = 0;
+  return report;
+};
+
+/**
+ * @method                                	- size
+ * @param                                 	- none
+ * @returns {number}                      	- The number of readings waiting.
+ * @summary                               	- Reports how many readings are buffered.
+ * @date                                  	- 19 - Oct - 2026
+ */
+ReadingBuffer.prototype.size = function () {
+  let self = this;
+  return self._queue.length;
+};
+
+/**
+ * @method                                	- _rewrite
+ * @param                                 	- none
+ * @returns                               	- none
+ * @summary                               	- Replaces the file content with the in-memory queue, dropping stale lines.
+ * @date                                  	- 19 - Oct - 2026
+ */
+ReadingBuffer.prototype._rewrite = function () {
+  let self = this;
+  const content = self._queue.map((dataPacket) => JSON.stringify(dataPacket) + "\n").join("");
+  fs.writeFileSync(self._strFilePath, content);
+  self._nStaleLines = 0;
+};
+
+module.exports = ReadingBuffer;
@@ -1,9 +1,20 @@
 const { io } = require("socket.io-client");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 const logger = require("../config/logger")("slavenode");
 const SensorHandler = require("./handlers/SensorHandler");
 const HealthHandler = require("./handlers/HealthHandler");
+const ReadingBuffer = require("./ReadingBuffer");
+const { registry } = require("./drivers/DriverRegistry");
+const { normalizeHandlerEntry } = require("../config/handlerConfig");
+const { validateMasterConfig } = require("../config/masterConfig");
+const { stableStringify } = require("../config/stableStringify");
+const { CONFIG_PARAMS } = require("../config/Config");
+const { createSlaveToken } = require("../config/slaveAuth");
+
+const HEALTH_HANDLER_KEY = "health-check"; // Key of the HealthHandler in the active handlers map
+const HANDLER_ACTIONS = ["start", "stop", "restart"]; // Actions that can target a single handler
 const { log } = require("console");
 
 /**
@@ -12,6 +23,7 @@ const { log } = require("console");
  * @param {string} strMasterUrl           	- The URL of the Master node to connect to.
  * @param {string} strIdentityFilePath    	- Path to the slave identity file.
  * @param {string} strConfigFilePath      	- Path to the slave configuration file.
+ * @param {string} strCredentialsFilePath	- Path to the slave credential file holding its secret.
  * @constructor
  * @description                           	- This is the Slave node that connects to the Master node, identifies itself, receives configuration,
  *                                             and spawns handlers to simulate sensor data and health checks.
@@ -19,16 +31,30 @@ const { log } = require("console");
  * @date                                  	- 15 - Oct - 2025
  *
  */
-function SlaveNode(strMasterUrl, strIdentityFilePath, strConfigFilePath) {
+function SlaveNode(strMasterUrl, strIdentityFilePath, strConfigFilePath, strCredentialsFilePath) {
   let self = this;
   self._strMasterUrl = strMasterUrl;
   self._strIdentityFilePath = strIdentityFilePath;
   self._strConfigFilePath = strConfigFilePath;
+  self._strCredentialsFilePath = strCredentialsFilePath;
 
   self._identity = null;
+  self._strSecret = null;
   self._config = null;
+  self._strMode = "idle"; // 'idle' (no config), 'autonomous' (cached config, master not heard yet) or 'managed'
+  self._autonomousSince = null;
   self._instSocketServer = null;
   self._activeHandlers = new Map();
+  self._bConnected = false;
+  self._bStopped = false; // Set by a 'stop' command: no handler runs and no heartbeat is sent until 'start'
+  self._stoppedHandlers = new Set(); // Handlers stopped by a per-handler 'stop' command
+  self._lastError = null; // { message, source, at }, reported in the health packet
+  // Readings taken while the master is unreachable, kept next to the config file
+  self._readingBuffer = new ReadingBuffer(
+    path.join(path.dirname(strConfigFilePath), "slave_buffer.ndjson"),
+    CONFIG_PARAMS.BUFFER_MAX_READINGS,
+    CONFIG_PARAMS.BUFFER_DROP_POLICY
+  );
 
   logger.info("[Slave] Initialized.");
 }
@@ -49,6 +75,7 @@ SlaveNode.prototype.start = function () {
     const bHasIdentity = self.readIdentity();
     if (bHasIdentity)
 	 {
+      self.loadCachedConfig(); // Sensors run even if the master is unreachable
       self.connectToMaster();
     }
   } 
@@ -62,7 +89,7 @@ SlaveNode.prototype.start = function () {
  * @method                                	- readIdentity
  * @param                                 	- none
  * @returns {boolean}                     	- True if identity read successfully, false otherwise.
- * @summary                               	- Reads the slave identity from the specified file.
+ * @summary                               	- Reads the slave identity and the secret from the credential file.
  * @author                                	- Gaurav Kishore
  * @date                                  	- 15 - Oct - 2025
  *
@@ -77,6 +104,12 @@ SlaveNode.prototype.readIdentity = function () {
 	 {
       throw new Error("Identity file must contain an 'id' field.");
     }
+    const credentials = JSON.parse(fs.readFileSync(self._strCredentialsFilePath));
+    if (!credentials.secret)
+    {
+      throw new Error("Credential file must contain a 'secret' field.");
+    }
+    self._strSecret = credentials.secret;
     logger.info(`[Slave] Identified as: ${self._identity.id}`);
     return true;
   } catch (err) 
@@ -98,7 +131,10 @@ SlaveNode.prototype.connectToMaster = function () {
   let self = this;
   try 
   {
-    self._instSocketServer = io(self._strMasterUrl);
+    // A fresh signed token for every connection attempt, see config/slaveAuth.js
+    self._instSocketServer = io(self._strMasterUrl, {
+      auth: (cb) => cb(createSlaveToken(self._identity.id, self._strSecret)),
+    });
     self.setupListeners();
   } 
   catch (err) 
@@ -122,8 +158,15 @@ SlaveNode.prototype.setupListeners = function () {
     try 
 	 {
       logger.info(`[Slave] Connected to Master at ${self._strMasterUrl}`);
-      self._instSocketServer.emit("identify", { id: self._identity.id });
+      self._bConnected = true;
+      self._instSocketServer.emit("identify", {
+        id: self._identity.id,
+        mode: self._strMode,
+        autonomousSince: self._autonomousSince,
+        capabilities: self.describeCapabilities(), // Shown to the operator if the master has no entry for this slave
+      });
       logger.info("[Slave] Identification sent to master.");
+      self.replayBufferedReadings();
     } 
 	 catch (err) 
 	 {
@@ -131,48 +174,42 @@ SlaveNode.prototype.setupListeners = function () {
     }
   });
 
-  self._instSocketServer.on("config", function (config) {
+  // Only what changed is restarted; the acknowledgement tells the master what was done (see applyConfig)
+  self._instSocketServer.on("config", function (config, ack) {
     logger.info("[Slave] Received configuration:", config);
-    self._config = config;
-    self.saveConfigToFile();
-    self.stopAllHandlers();
-    self.startHandlers();
+    const reconciliation = self.endAutonomousMode(config);
+    const summary = self.applyConfig(config);
+    if (reconciliation) summary.autonomous = reconciliation;
+    if (typeof ack === "function") ack(summary);
   });
 
-  self._instSocketServer.on("control", function (command) {
-    try 
-	 {
-      logger.info(`[Slave] Received control command: ${command.action}`);
-      switch (command.action) 
-		{
-        case "stop":
-          self.stopAllHandlers();
-          break;
-        case "start":
-          self.startHandlers();
-          break;
-        case "restart":
-          self.stopAllHandlers();
-          setTimeout(() => self.startHandlers(), 100);
-          break;
-        default:
-          logger.warn(
-            `[Slave] Unknown control command received: ${command.action}`
-          );
-          break;
-      }
-    } 
-	 catch (err) 
-	 {
-      logger.error("[Slave] Error: ",err);
+  // The acknowledgement carries the outcome back to the master: see handleControl
+  self._instSocketServer.on("control", function (command, ack) {
+    self.handleControl(command, function (result) {
+      if (typeof ack === "function") ack(result);
+    });
+  });
+
+  // The master pings when heartbeats are late; answering shows the process is alive even if health reports stopped
+  self._instSocketServer.on("liveness-ping", function (ack) {
+    if (typeof ack === "function")
+    {
+      ack({ slaveId: self._identity.id, stopped: self._bStopped, timestamp: new Date().toISOString() });
     }
   });
 
-  self._instSocketServer.on("disconnect", function () {
-    logger.info("[Slave] Disconnected from Master. Stopping handlers.");
+  // Handlers keep sampling while disconnected; sendSensorData buffers their readings until the master is back
+  self._instSocketServer.on("disconnect", function (reason) {
+    logger.info(`[Slave] Disconnected from Master (${reason}). Buffering readings until it is back.`);
     try 
 	 {
-      self.stopAllHandlers();
+      self._bConnected = false;
+      // Socket.IO does not reconnect by itself when the master ended the connection (liveness timeout,
+      // rejection, identity mismatch); try again later, the slave may have recovered or been approved
+      if (reason === "io server disconnect")
+      {
+        setTimeout(() => self._instSocketServer.connect(), CONFIG_PARAMS.SLAVE_AUTH_RETRY_MS);
+      }
     } 
 	 catch (err) 
 	 {
@@ -182,7 +219,240 @@ SlaveNode.prototype.setupListeners = function () {
 
   self._instSocketServer.on("connect_error", function (err) {
     logger.error(`[Slave] Could not connect to Master: ${err.message}`);
+    self.recordError("connect", err);
+    // Socket.IO does not retry on its own after the master refused the handshake; try again later,
+    // the slave may get enrolled or its clock fixed in the meantime
+    if (!self._instSocketServer.active)
+    {
+      setTimeout(() => self._instSocketServer.connect(), CONFIG_PARAMS.SLAVE_AUTH_RETRY_MS);
+    }
+  });
+};
+
+/**
+ * @method                                  - describeCapabilities
+ * @param                                   - none
+ * @returns {object}                        - { handlers, drivers, host: { hostname, platform, arch, nodeVersion } } where
+ *                                            handlers is the optional 'handlers' list of the identity file (the sensors
+ *                                            this slave has) and drivers the registered driver names.
+ * @summary                                 - Describes the slave for the master's approval queue.
+ * @date                                    - 19 - Oct - 2026
+ */
+SlaveNode.prototype.describeCapabilities = function () {
+  let self = this;
+  return {
+    handlers: Array.isArray(self._identity.handlers) ? self._identity.handlers : [],
+    drivers: registry.list(),
+    host: {
+      hostname: os.hostname(),
+      platform: os.platform(),
+      arch: os.arch(),
+      nodeVersion: process.version,
+    },
+  };
+};
+
+/**
+ * @method                                  - handleControl
+ * @param {object} command                  - { commandId, action, handler?, ...params } sent by the master. With a
+ *                                            'handler', start / stop / restart act on that handler only.
+ * @param {function} fnDone                 - Called once with the result: { commandId, slaveId, action, outcome,
+ *                                            message?, handlers } where outcome is 'success', 'unknown-action'
+ *                                            or 'error' and handlers lists the handlers running afterwards.
+ * @returns                                 - none
+ * @summary                                 - Executes a control command and reports its outcome.
+ * @date                                    - 19 - Oct - 2026
+ */
+SlaveNode.prototype.handleControl = function (command, fnDone) {
+  let self = this;
+  const reply = function (strOutcome, strMessage) {
+    fnDone({
+      commandId: command.commandId,
+      slaveId: self._identity.id,
+      action: command.action,
+      outcome: strOutcome,
+      message: strMessage,
+      handlers: self.getRunningHandlers(),
+    });
+  };
+
+  try
+  {
+    logger.info(`[Slave] Received control command: ${command.action}${command.handler ? ` (${command.handler})` : ""}`);
+    if (command.handler && HANDLER_ACTIONS.includes(command.action))
+    {
+      self.controlHandler(command.action, command.handler);
+      return reply("success");
+    }
+    switch (command.action)
+    {
+      case "stop":
+        self._bStopped = true;
+        self.stopAllHandlers();
+        reply("success");
+        break;
+      case "start":
+        self._bStopped = false;
+        self._stoppedHandlers.clear();
+        self.startHandlers();
+        reply("success");
+        break;
+      case "restart":
+        self._bStopped = false;
+        self._stoppedHandlers.clear();
+        self.stopAllHandlers();
+        // Answer once the handlers are back, so the reported state is the restarted one
+        setTimeout(() => {
+          self.startHandlers();
+          reply("success");
+        }, 100);
+        break;
+      case "inject-fault":
+        self.injectFault(command.handler, command.fault);
+        reply("success");
+        break;
+      case "clear-fault":
+        self.clearFault(command.handler, command.fault && command.fault.type);
+        reply("success");
+        break;
+      default:
+        logger.warn(`[Slave] Unknown control command received: ${command.action}`);
+        reply("unknown-action", `Unknown control command: ${command.action}`);
+        break;
+    }
+  }
+  catch (err)
+  {
+    logger.error(`[Slave] Control command '${command.action}' failed: ${err.message}`);
+    self.recordError(`control ${command.action}`, err);
+    reply("error", err.message);
+  }
+};
+
+/**
+ * @method                                  - getRunningHandlers
+ * @param                                   - none
+ * @returns {string[]}                      - The types of the handlers currently running ('health-check' included).
+ * @summary                                 - Reports the handler state, e.g. in control command results.
+ * @date                                    - 19 - Oct - 2026
+ */
+SlaveNode.prototype.getRunningHandlers = function () {
+  let self = this;
+  return Array.from(self._activeHandlers.keys());
+};
+
+/**
+ * @method                                  - getHandlerStatus
+ * @param                                   - none
+ * @returns {object}                        - Sensor handler type -> its getStatus() (the health handler is left out).
+ * @summary                                 - Reports the sensor handler states for the health packet.
+ * @date                                    - 19 - Oct - 2026
+ */
+SlaveNode.prototype.getHandlerStatus = function () {
+  let self = this;
+  const status = {};
+  self._activeHandlers.forEach((handler, strType) => {
+    if (strType !== HEALTH_HANDLER_KEY) status[strType] = handler.getStatus();
   });
+  return status;
+};
+
+/**
+ * @method                                  - recordError
+ * @param {string} strSource                - What failed, e.g. 'connect' or 'control restart'.
+ * @param {Error} err                       - The error.
+ * @returns                                 - none
+ * @summary                                 - Remembers the slave's latest error for the health packet.
+ * @date                                    - 19 - Oct - 2026
+ */
+SlaveNode.prototype.recordError = function (strSource, err) {
+  let self = this;
+  self._lastError = { message: err.message, source: strSource, at: new Date().toISOString() };
+};
+
+/**
+ * @method                                  - getLastError
+ * @param                                   - none
+ * @returns {object|null}                   - The most recent of the slave's own and its handlers' last errors.
+ * @summary                                 - Reports the last error seen for the health packet.
+ * @date                                    - 19 - Oct - 2026
+ */
+SlaveNode.prototype.getLastError = function () {
+  let self = this;
+  let lastError = self._lastError;
+  self._activeHandlers.forEach((handler, strType) => {
+    if (strType === HEALTH_HANDLER_KEY) return;
+    const handlerError = handler.getStatus().lastError;
+    if (handlerError && (!lastError || handlerError.at > lastError.at)) lastError = handlerError;
+  });
+  return lastError;
+};
+
+/**
+ * @method                                  - loadCachedConfig
+ * @param                                   - none
+ * @returns {boolean}                       - True if the slave now runs in autonomous mode.
+ * @summary                                 - Starts the handlers from the config the master last sent (saved by
+ *                                            saveConfigToFile), without waiting for the master. The slave stays in
+ *                                            'autonomous' mode until the master's config arrives (see endAutonomousMode).
+ *                                            A missing, unreadable or invalid cache leaves the slave idle until then.
+ * @date                                    - 19 - Oct - 2026
+ */
+SlaveNode.prototype.loadCachedConfig = function () {
+  let self = this;
+  let cached = null;
+  try
+  {
+    cached = JSON.parse(fs.readFileSync(self._strConfigFilePath, "utf8"));
+  }
+  catch (err)
+  {
+    if (err.code === "ENOENT") logger.info("[Slave] No cached configuration; waiting for the master.");
+    else logger.error(`[Slave] Could not read cached configuration ${self._strConfigFilePath}: ${err.message}`);
+    return false;
+  }
+
+  const errors = validateMasterConfig({ config: [cached] });
+  if (cached && cached.slaveIp !== self._identity.id)
+  {
+    errors.push(`slaveIp: the cache belongs to '${cached.slaveIp}', not '${self._identity.id}'.`);
+  }
+  if (errors.length > 0)
+  {
+    logger.error(`[Slave] Ignoring cached configuration:\n  ${errors.join("\n  ")}`);
+    return false;
+  }
+
+  self._strMode = "autonomous";
+  self._autonomousSince = new Date().toISOString();
+  logger.warn("[Slave] Running autonomously from the cached configuration until the master is reachable.");
+  self.applyConfig(cached);
+  return true;
+};
+
+/**
+ * @method                                  - endAutonomousMode
+ * @param {object} masterConfig             - The config entry the master just sent.
+ * @returns {object|null}                   - { since, divergent } if the slave was running autonomously, else null.
+ *                                            divergent says whether the cached config differs from the master's.
+ * @summary                                 - Hands control back to the master. Its config is authoritative: applyConfig
+ *                                            replaces the cached one, and the summary it returns lists the differences.
+ * @date                                    - 19 - Oct - 2026
+ */
+SlaveNode.prototype.endAutonomousMode = function (masterConfig) {
+  let self = this;
+  const strPreviousMode = self._strMode;
+  self._strMode = "managed";
+  if (strPreviousMode !== "autonomous") return null;
+
+  const reconciliation = {
+    since: self._autonomousSince,
+    divergent: stableStringify(self._config) !== stableStringify(masterConfig),
+  };
+  self._autonomousSince = null;
+  if (reconciliation.divergent) logger.warn("[Slave] The master's configuration differs from the cached one; applying the master's.");
+  else logger.info("[Slave] The master's configuration matches the cached one.");
+  return reconciliation;
 };
 
 /**
@@ -209,6 +479,114 @@ SlaveNode.prototype.saveConfigToFile = function () {
   }
 };
 
+/**
+ * @method                                  - applyConfig
+ * @param {object} newConfig                - The slave's config entry pushed by the master.
+ * @returns {object}                        - { slaveId, added, removed, reconfigured, unchanged, failed, health, buffer,
+ *                                            stopped }: handler types by what happened to their entry ('failed' holds
+ *                                            { type, error } of the handlers that could not be started or reconfigured),
+ *                                            health is 'started', 'reconfigured' or 'unchanged', buffer whether its
+ *                                            settings changed and stopped whether the slave is stopped.
+ * @summary                                 - Moves the running handlers to a new config: added handlers are started,
+ *                                            removed ones stopped and changed ones reconfigured in place. Untouched
+ *                                            handlers keep running, and a handler that is not running although it
+ *                                            should (its start failed before) is started. Handlers stopped by a control
+ *                                            command stay stopped, and so does the whole slave after a 'stop': they
+ *                                            pick up the new config when started again.
+ * @date                                    - 19 - Oct - 2026
+ */
+SlaveNode.prototype.applyConfig = function (newConfig) {
+  let self = this;
+  const previous = self._config || {};
+  const summary = {
+    slaveId: self._identity.id,
+    added: [],
+    removed: [],
+    reconfigured: [],
+    unchanged: [],
+    failed: [],
+    health: "unchanged",
+    buffer: stableStringify(previous.buffer) !== stableStringify(newConfig.buffer),
+    stopped: self._bStopped,
+  };
+  const fail = (strType, err) => {
+    logger.error(`[Slave] Could not apply config of handler ${strType}: ${err.message}`);
+    self.recordError("apply config", err);
+    summary.failed.push({ type: strType, error: err.message });
+  };
+  // Entries that cannot be normalized are reported for the new config; for the old one they were reported already
+  const byType = (config, fnOnError) => {
+    const entries = new Map();
+    ((config && config.handlers) || []).forEach((entry) => {
+      try
+      {
+        const objHandlerConfig = normalizeHandlerEntry(entry);
+        entries.set(objHandlerConfig.type, objHandlerConfig);
+      }
+      catch (err)
+      {
+        fnOnError(JSON.stringify(entry), err);
+      }
+    });
+    return entries;
+  };
+  const oldEntries = byType(previous, () => {});
+  const newEntries = byType(newConfig, fail);
+
+  self._config = newConfig;
+  self.applyBufferSettings();
+  self.saveConfigToFile();
+
+  oldEntries.forEach((objHandlerConfig, strType) => {
+    if (newEntries.has(strType)) return;
+    self.stopHandler(strType);
+    self._stoppedHandlers.delete(strType);
+    summary.removed.push(strType);
+  });
+  newEntries.forEach((objHandlerConfig, strType) => {
+    try
+    {
+      const bKnown = oldEntries.has(strType);
+      const bChanged = !bKnown || stableStringify(oldEntries.get(strType)) !== stableStringify(objHandlerConfig);
+      const handler = self._activeHandlers.get(strType);
+      if (handler && bChanged)
+      {
+        handler.reconfigure(objHandlerConfig);
+      }
+      else if (!handler && !self._bStopped && !self._stoppedHandlers.has(strType))
+      {
+        self.startHandler(objHandlerConfig);
+      }
+      if (!bKnown) summary.added.push(strType);
+      else if (bChanged) summary.reconfigured.push(strType);
+      else summary.unchanged.push(strType);
+    }
+    catch (err)
+    {
+      fail(strType, err);
+    }
+  });
+
+  const healthHandler = self._activeHandlers.get(HEALTH_HANDLER_KEY);
+  if (!healthHandler && !self._bStopped)
+  {
+    self.startHealthHandler();
+    summary.health = "started";
+  }
+  else if (healthHandler && stableStringify(previous.health) !== stableStringify(newConfig.health))
+  {
+    healthHandler.setThresholds(newConfig.health);
+    summary.health = "reconfigured";
+  }
+  logger.info(
+    `[Slave] Config applied: added [${summary.added}], removed [${summary.removed}], ` +
+    `reconfigured [${summary.reconfigured}], unchanged [${summary.unchanged}]` +
+    (summary.failed.length > 0 ? `, failed [${summary.failed.map((failure) => failure.type)}]` : "") +
+    (summary.stopped ? " (slave stopped, handlers start with it)" : "")
+  );
+  return summary;
+};
+
 /**
  * @method                                	- startHandlers
  * @param                                 	- none
@@ -220,32 +598,32 @@ SlaveNode.prototype.startHandlers = function () {
   let self = this;
   try 
   {
-    if (
-      self._activeHandlers.size > 0 ||
-      !self._config ||
-      !self._config.handlers
-    ) 
-	 {
-      logger.warn("[Slave] Start command ignored: Handlers are already running or config is missing.");
+    if (!self._config || !self._config.handlers) 
+    {
+      logger.warn("[Slave] Start command ignored: config is missing.");
       return;
     }
-    logger.info("[Slave] Spawning handlers..."); // Create a new SensorHandler for each type in the config
-
-    self._config.handlers.forEach((handlerType) => {
-      const handler = new SensorHandler(
-        handlerType,
-        self._identity.id,
-        self.sendSensorData.bind(self)
-      );
-      handler.start();
-      self._activeHandlers.set(handlerType, handler);
+    logger.info("[Slave] Spawning handlers..."); // Create a new SensorHandler for each entry in the config
+
+    // An entry is either a handler type string or a handler config object (see config/handlerConfig.js).
+    // Handlers that are already running (e.g. after a per-handler stop) are left alone.
+    self._config.handlers.forEach((entry) => {
+      try
+      {
+        const objHandlerConfig = normalizeHandlerEntry(entry);
+        if (self._activeHandlers.has(objHandlerConfig.type)) return;
+        self.startHandler(objHandlerConfig);
+      }
+      catch (err)
+      {
+        logger.error(`[Slave] Could not start handler ${JSON.stringify(entry)}: ${err.message}`);
+        self.recordError("start handler", err);
+      }
     }); // Create the HealthHandler
-    const healthHandler = new HealthHandler(
-      self._identity.id,
-      self.sendHealthStatus.bind(self)
-    );
-    healthHandler.start();
-    self._activeHandlers.set("health-check", healthHandler);
+    if (!self._activeHandlers.has(HEALTH_HANDLER_KEY))
+    {
+      self.startHealthHandler();
+    }
   } 
   catch (err) 
   {
@@ -253,6 +631,99 @@ SlaveNode.prototype.startHandlers = function () {
   }
 };
 
+/**
+ * @method                                  - startHandler
+ * @param {object} objHandlerConfig         - A normalized handler entry (see config/handlerConfig.js).
+ * @returns                                 - none
+ * @summary                                 - Creates and starts one sensor handler. Throws if its driver cannot be created.
+ * @date                                    - 19 - Oct - 2026
+ */
+SlaveNode.prototype.startHandler = function (objHandlerConfig) {
+  let self = this;
+  const handler = new SensorHandler(
+    objHandlerConfig.type,
+    self._identity.id,
+    self.sendSensorData.bind(self),
+    objHandlerConfig
+  );
+  handler.start();
+  self._activeHandlers.set(objHandlerConfig.type, handler);
+};
+
+/**
+ * @method                                  - startHealthHandler
+ * @param                                   - none
+ * @returns                                 - none
+ * @summary                                 - Creates and starts the HealthHandler with the config's thresholds.
+ * @date                                    - 19 - Oct - 2026
+ */
+SlaveNode.prototype.startHealthHandler = function () {
+  let self = this;
+  const healthHandler = new HealthHandler(
+    self._identity.id,
+    self.sendHealthStatus.bind(self),
+    {
+      thresholds: self._config.health, // Optional per-slave override of HEALTH_THRESHOLDS
+      bufferDir: path.dirname(self._strConfigFilePath),
+      getHandlerStatus: self.getHandlerStatus.bind(self),
+      getLastError: self.getLastError.bind(self),
+    }
+  );
+  healthHandler.start();
+  self._activeHandlers.set(HEALTH_HANDLER_KEY, healthHandler);
+};
+
+/**
+ * @method                                  - stopHandler
+ * @param {string} strHandlerType           - The handler to stop.
+ * @returns {boolean}                       - False if it was not running.
+ * @summary                                 - Stops one handler, leaving the others running.
+ * @date                                    - 19 - Oct - 2026
+ */
+SlaveNode.prototype.stopHandler = function (strHandlerType) {
+  let self = this;
+  const handler = self._activeHandlers.get(strHandlerType);
+  if (!handler) return false;
+  handler.stop();
+  self._activeHandlers.delete(strHandlerType);
+  return true;
+};
+
+/**
+ * @method                                  - controlHandler
+ * @param {string} strAction                - 'start', 'stop' or 'restart'.
+ * @param {string} strHandlerType           - The sensor handler to act on.
+ * @returns                                 - none
+ * @summary                                 - Executes a per-handler control command without touching the other sensors
+ *                                            or the health handler. Throws if the handler is not in the config.
+ * @date                                    - 19 - Oct - 2026
+ */
+SlaveNode.prototype.controlHandler = function (strAction, strHandlerType) {
+  let self = this;
+  const entry = ((self._config && self._config.handlers) || [])
+    .map(normalizeHandlerEntry)
+    .find((objHandlerConfig) => objHandlerConfig.type === strHandlerType);
+  if (!entry)
+  {
+    throw new Error(`Handler '${strHandlerType}' is not in this slave's configuration.`);
+  }
+
+  if (strAction === "stop" || strAction === "restart")
+  {
+    self.stopHandler(strHandlerType);
+  }
+  if (strAction === "stop")
+  {
+    self._stoppedHandlers.add(strHandlerType);
+  }
+  else
+  {
+    self._stoppedHandlers.delete(strHandlerType);
+    if (!self._activeHandlers.has(strHandlerType)) self.startHandler(entry);
+  }
+  logger.info(`[Slave] Handler '${strHandlerType}': ${strAction} done.`);
+};
+
 /**
  * @method                                	- stopAllHandlers
  * @param                                 	- none
@@ -275,6 +746,106 @@ SlaveNode.prototype.stopAllHandlers = function () {
   }
 };
 
+/**
+ * @method                                  - applyBufferSettings
+ * @param                                   - none
+ * @returns                                 - none
+ * @summary                                 - Applies the optional 'buffer' settings of the slave's config entry
+ *                                            ({ maxReadings, dropPolicy }), falling back to the CONFIG_PARAMS defaults.
+ * @date                                    - 19 - Oct - 2026
+ */
+SlaveNode.prototype.applyBufferSettings = function () {
+  let self = this;
+  try
+  {
+    const objBuffer = (self._config && self._config.buffer) || {};
+    self._readingBuffer.configure(
+      objBuffer.maxReadings || CONFIG_PARAMS.BUFFER_MAX_READINGS,
+      objBuffer.dropPolicy || CONFIG_PARAMS.BUFFER_DROP_POLICY
+    );
+  }
+  catch (err)
+  {
+    logger.error("[Slave] Error: ", err);
+  }
+};
+
+/**
+ * @method                                  - replayBufferedReadings
+ * @param                                   - none
+ * @returns                                 - none
+ * @summary                                 - Sends the readings buffered during an outage to the master, oldest first and
+ *                                            with their original timestamps, then reports how many were replayed or dropped.
+ * @date                                    - 19 - Oct - 2026
+ */
+SlaveNode.prototype.replayBufferedReadings = function () {
+  let self = this;
+  try
+  {
+    const report = self._readingBuffer.drain(function (dataPacket) {
+      if (!self._instSocketServer.connected) return false; // Keep the rest for the next reconnect
+      self._instSocketServer.emit("sensor-data", Object.assign({}, dataPacket, { replayed: true }));
+      return true;
+    });
+    if (report.replayed === 0 && report.dropped === 0) return;
+
+    logger.info(`[Slave] Replayed ${report.replayed} buffered readings, ${report.dropped} dropped while disconnected.`);
+    self._instSocketServer.emit("buffer-report", {
+      slaveIp: self._identity.id,
+      replayed: report.replayed,
+      dropped: report.dropped,
+      pending: self._readingBuffer.size(),
+      timestamp: new Date().toISOString(),
+    });
+  }
+  catch (err)
+  {
+    logger.error("[Slave] Error: ", err);
+  }
+};
+
+/**
+ * @method                                  - injectFault
+ * @param {string} strHandlerType           - The sensor handler to inject the fault into.
+ * @param {object} objFault                 - The fault description, e.g. { type: 'spike', durationMs: 30000 }.
+ * @returns                                 - none
+ * @summary                                 - Injects a simulated fault into the readings of one running sensor handler.
+ *                                            Throws if the handler is not running or the fault is invalid.
+ * @date                                    - 19 - Oct - 2026
+ */
+SlaveNode.prototype.injectFault = function (strHandlerType, objFault) {
+  let self = this;
+  const handler = self._activeHandlers.get(strHandlerType);
+  if (!handler || typeof handler.injectFault !== "function")
+  {
+    throw new Error(`Cannot inject fault: no running sensor handler '${strHandlerType}'.`);
+  }
+  handler.injectFault(objFault);
+};
+
+/**
+ * @method                                  - clearFault
+ * @param {string} [strHandlerType]         - The sensor handler to clear. All sensor handlers when omitted.
+ * @param {string} [strFaultType]           - The fault type to clear. All fault types when omitted.
+ * @returns                                 - none
+ * @summary                                 - Clears injected faults.
+ * @date                                    - 19 - Oct - 2026
+ */
+SlaveNode.prototype.clearFault = function (strHandlerType, strFaultType) {
+  let self = this;
+  try
+  {
+    self._activeHandlers.forEach((handler, handlerType) => {
+      if (typeof handler.clearFaults !== "function") return; // Health handler
+      if (!strHandlerType || strHandlerType === handlerType) handler.clearFaults(strFaultType);
+    });
+  }
+  catch (err)
+  {
+    logger.error("[Slave] Error: ", err);
+  }
+};
+
 /**
  * @method                                	- sendSensorData
  * @param {object} dataPacket             	- The data packet to send to the master.
@@ -287,6 +858,11 @@ SlaveNode.prototype.sendSensorData = function (dataPacket) {
   let self = this;
   try 
   {
+    if (!self._bConnected)
+    {
+      self._readingBuffer.push(dataPacket);
+      return;
+    }
     self._instSocketServer.emit("sensor-data", dataPacket);
     logger.info(`[Slave] Sent data for ${dataPacket.handler}: ${dataPacket.value}`);
   } 
@@ -308,6 +884,7 @@ SlaveNode.prototype.sendHealthStatus = function (healthPacket) {
   let self = this;
   try 
   {
+    if (!self._bConnected) return; // Health is only meaningful live, it is not buffered
 	 self._instSocketServer.emit("health-status", healthPacket);
 	 logger.info(`[Slave] Sent health status: ${healthPacket.status}`);
   } 
@@ -0,0 +1,131 @@
+const path = require("path");
+const logger = require("../../config/logger")("handler");
+const SimulatorDriver = require("./SimulatorDriver");
+const FileDriver = require("./FileDriver");
+const ProcessDriver = require("./ProcessDriver");
+
+/**
+ * @class                                   - DriverRegistry
+ * @extends                                 - none
+ * @constructor
+ * @summary                                 - Maps handler types to the driver modules that produce their readings.
+ *                                            A driver is a constructor taking (strHandlerType, objOptions) whose
+ *                                            instances expose read(callback) and, optionally, close().
+ *                                            The callback follows the node convention: callback(err, value).
+ * @date                                    - 19 - Oct - 2026
+ */
+function DriverRegistry()
+{
+  let self = this;
+  self._drivers = new Map(); // Driver name -> driver constructor
+  self._typeBindings = new Map(); // Handler type -> default driver name
+  self._strDefaultDriver = "simulator";
+  self._strModuleBaseDir = path.join(__dirname, "..");
+}
+
+/**
+ * @method                                  - register
+ * @param {string} strName                  - The name under which the driver is selected from the config.
+ * @param {function} fnDriver               - The driver constructor.
+ * @returns                                 - none
+ * @summary                                 - Registers (or replaces) a driver.
+ * @date                                    - 19 - Oct - 2026
+ */
+DriverRegistry.prototype.register = function (strName, fnDriver) {
+  let self = this;
+  if (typeof fnDriver !== "function" || typeof fnDriver.prototype.read !== "function")
+  {
+    throw new Error(`Driver '${strName}' must be a constructor implementing read(callback).`);
+  }
+  self._drivers.set(strName, fnDriver);
+};
+
+/**
+ * @method                                  - bindType
+ * @param {string} strHandlerType           - The handler type (e.g., 'temperature').
+ * @param {string} strDriverName            - The driver used when the config entry does not name one.
+ * @returns                                 - none
+ * @summary                                 - Sets the default driver for a handler type.
+ * @date                                    - 19 - Oct - 2026
+ */
+DriverRegistry.prototype.bindType = function (strHandlerType, strDriverName) {
+  let self = this;
+  self._typeBindings.set(strHandlerType, strDriverName);
+};
+
+/**
+ * @method                                  - has
+ * @param {string} strName                  - The driver name.
+ * @returns {boolean}                       - True if a driver is registered under this name.
+ * @summary                                 - Checks whether a driver is available.
+ * @date                                    - 19 - Oct - 2026
+ */
+DriverRegistry.prototype.has = function (strName) {
+  let self = this;
+  return self._drivers.has(strName);
+};
+
+/**
+ * @method                                  - list
+ * @param                                   - none
+ * @returns {string[]}                      - The names of all registered drivers.
+ * @summary                                 - Lists the registered drivers.
+ * @date                                    - 19 - Oct - 2026
+ */
+DriverRegistry.prototype.list = function () {
+  let self = this;
+  return Array.from(self._drivers.keys());
+};
+
+/**
+ * @method                                  - load
+ * @param {string} strModulePath            - Path of a driver module, relative to the slave directory.
+ * @returns {string}                        - The name the driver was registered under.
+ * @summary                                 - Loads an external driver module and registers it under its path.
+ * @date                                    - 19 - Oct - 2026
+ */
+DriverRegistry.prototype.load = function (strModulePath) {
+  let self = this;
+  if (!self._drivers.has(strModulePath))
+  {
+    const fnDriver = require(path.resolve(self._strModuleBaseDir, strModulePath));
+    self.register(strModulePath, fnDriver);
+    logger.info(`[Registry] Loaded driver module: ${strModulePath}`);
+  }
+  return strModulePath;
+};
+
+/**
+ * @method                                  - create
+ * @param {string} strHandlerType           - The handler type the driver will serve.
+ * @param {string} [strDriverName]          - The driver requested by the config entry, if any.
+ * @param {object} [objOptions]             - Driver specific options from the config entry.
+ * @returns {object}                        - A new driver instance.
+ * @summary                                 - Resolves the driver for a handler and instantiates it.
+ *                                            Names starting with '.' or '/' are treated as module paths.
+ * @date                                    - 19 - Oct - 2026
+ */
+DriverRegistry.prototype.create = function (strHandlerType, strDriverName, objOptions) {
+  let self = this;
+  let strName = strDriverName || self._typeBindings.get(strHandlerType) || self._strDefaultDriver;
+
+  if (strName.startsWith(".") || strName.startsWith("/"))
+  {
+    strName = self.load(strName);
+  }
+
+  const fnDriver = self._drivers.get(strName);
+  if (!fnDriver)
+  {
+    throw new Error(`Unknown driver '${strName}' for handler '${strHandlerType}'.`);
+  }
+  return new fnDriver(strHandlerType, objOptions || {});
+};
+
+// Shared registry with the built-in drivers
+const registry = new DriverRegistry();
+registry.register("simulator", SimulatorDriver);
+registry.register("file", FileDriver);
+registry.register("process", ProcessDriver);
+
+module.exports = { DriverRegistry, registry };
@@ -0,0 +1,49 @@
+const fs = require("fs");
+
+/**
+ * @class                                   - FileDriver
+ * @param {string} strHandlerType           - The type of sensor this driver reads.
+ * @param {object} objOptions               - 'path' of the file or named pipe to read, optional 'scale' and 'offset'.
+ * @constructor
+ * @summary                                 - Reads a numeric value from a file or pipe, e.g. a sysfs sensor node.
+ *                                            The last numeric line of the content is used, so append-only logs work too.
+ * @date                                    - 19 - Oct - 2026
+ */
+function FileDriver(strHandlerType, objOptions)
+{
+  let self = this;
+  if (!objOptions.path)
+  {
+    throw new Error(`File driver for '${strHandlerType}' requires a 'path' option.`);
+  }
+  self._handlerType = strHandlerType;
+  self._strPath = objOptions.path;
+  self._scale = objOptions.scale !== undefined ? objOptions.scale : 1;
+  self._offset = objOptions.offset !== undefined ? objOptions.offset : 0;
+}
+
+/**
+ * @method                                  - read
+ * @param {function} callback               - Called with (err, value).
+ * @returns                                 - none
+ * @summary                                 - Reads the file and parses its last numeric line.
+ * @date                                    - 19 - Oct - 2026
+ */
+FileDriver.prototype.read = function (callback) {
+  let self = this;
+  fs.readFile(self._strPath, "utf8", function (err, content) {
+    if (err)
+    {
+      return callback(err);
+    }
+    const lines = content.trim().split(/\r?\n/);
+    const value = parseFloat(lines[lines.length - 1]);
+    if (Number.isNaN(value))
+    {
+      return callback(new Error(`No numeric value in ${self._strPath}`));
+    }
+    callback(null, value * self._scale + self._offset);
+  });
+};
+
+module.exports = FileDriver;
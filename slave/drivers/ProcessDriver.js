@@ -0,0 +1,53 @@
+const { execFile } = require("child_process");
+
+/**
+ * @class                                   - ProcessDriver
+ * @param {string} strHandlerType           - The type of sensor this driver reads.
+ * @param {object} objOptions               - 'command' to run, optional 'args' array and 'timeoutMs'.
+ * @constructor
+ * @summary                                 - Runs a script as a child process for every reading and parses the number
+ *                                            it prints on stdout. The handler type is passed in the SENSOR_TYPE variable.
+ * @date                                    - 19 - Oct - 2026
+ */
+function ProcessDriver(strHandlerType, objOptions)
+{
+  let self = this;
+  if (!objOptions.command)
+  {
+    throw new Error(`Process driver for '${strHandlerType}' requires a 'command' option.`);
+  }
+  self._handlerType = strHandlerType;
+  self._strCommand = objOptions.command;
+  self._args = objOptions.args || [];
+  self._nTimeoutMs = objOptions.timeoutMs || 3000;
+}
+
+/**
+ * @method                                  - read
+ * @param {function} callback               - Called with (err, value).
+ * @returns                                 - none
+ * @summary                                 - Runs the command and parses the last number it printed.
+ * @date                                    - 19 - Oct - 2026
+ */
+ProcessDriver.prototype.read = function (callback) {
+  let self = this;
+  const objExecOptions = {
+    timeout: self._nTimeoutMs,
+    env: Object.assign({}, process.env, { SENSOR_TYPE: self._handlerType }),
+  };
+  execFile(self._strCommand, self._args, objExecOptions, function (err, stdout) {
+    if (err)
+    {
+      return callback(err);
+    }
+    const lines = stdout.trim().split(/\r?\n/);
+    const value = parseFloat(lines[lines.length - 1]);
+    if (Number.isNaN(value))
+    {
+      return callback(new Error(`'${self._strCommand}' did not print a numeric value.`));
+    }
+    callback(null, value);
+  });
+};
+
+module.exports = ProcessDriver;
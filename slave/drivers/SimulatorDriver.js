@@ -0,0 +1,65 @@
+const logger = require("../../config/logger")("handler");
+const SeededRandom = require("./simulation/SeededRandom");
+const { createModel } = require("./simulation/WaveformModels");
+
+/**
+ * Typical ranges for the handler types we simulate in the lab. Unknown types fall back to 0 - 100.
+ */
+const SENSOR_PROFILES = {
+  temperature: { min: 18, max: 30 },
+  humidity: { min: 30, max: 70 },
+  light: { min: 0, max: 1000 },
+  pressure: { min: 980, max: 1040 },
+  vibration: { min: 0, max: 5 },
+};
+
+const DEFAULT_PROFILE = { min: 0, max: 100 };
+
+/**
+ * @class                                   - SimulatorDriver
+ * @param {string} strHandlerType           - The type of sensor being simulated.
+ * @param {object} objOptions               - Optional 'min' / 'max' overriding the profile for this type, the waveform
+ *                                            'model' (default 'random-walk'), its parameters and an RNG 'seed'.
+ * @constructor
+ * @summary                                 - Built-in driver producing simulated readings within the range of the sensor type.
+ *                                            With the same seed and parameters a run produces the same sequence.
+ * @date                                    - 19 - Oct - 2026
+ */
+function SimulatorDriver(strHandlerType, objOptions)
+{
+  let self = this;
+  const profile = SENSOR_PROFILES[strHandlerType] || DEFAULT_PROFILE;
+  self._handlerType = strHandlerType;
+  self._min = objOptions.min !== undefined ? objOptions.min : profile.min;
+  self._max = objOptions.max !== undefined ? objOptions.max : profile.max;
+  self._rng = new SeededRandom(objOptions.seed);
+  self._strModel = objOptions.model || "random-walk";
+  self._model = createModel(self._strModel, objOptions, { min: self._min, max: self._max }, self._rng);
+  logger.info(`[Simulator] ${strHandlerType}: model '${self._strModel}', seed ${self._rng.getSeed()}`);
+}
+
+/**
+ * @method                                  - read
+ * @param {function} callback               - Called with (err, value).
+ * @returns                                 - none
+ * @summary                                 - Produces the next simulated reading.
+ * @date                                    - 19 - Oct - 2026
+ */
+SimulatorDriver.prototype.read = function (callback) {
+  let self = this;
+  callback(null, self._model.next());
+};
+
+/**
+ * @method                                  - getRange
+ * @param                                   - none
+ * @returns {object}                        - The nominal range { min, max } of the simulated sensor.
+ * @summary                                 - Lets fault injection size spikes and out-of-range bursts.
+ * @date                                    - 19 - Oct - 2026
+ */
+SimulatorDriver.prototype.getRange = function () {
+  let self = this;
+  return { min: self._min, max: self._max };
+};
+
+module.exports = SimulatorDriver;
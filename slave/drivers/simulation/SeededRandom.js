@@ -0,0 +1,58 @@
+/**
+ * @class                                   - SeededRandom
+ * @param {number} [nSeed]                  - 32-bit seed. A random seed is picked when omitted.
+ * @constructor
+ * @summary                                 - Small deterministic PRNG (mulberry32) so simulated runs can be replayed
+ *                                            sample for sample by reusing the same seed.
+ * @date                                    - 19 - Oct - 2026
+ */
+function SeededRandom(nSeed)
+{
+  let self = this;
+  self._nSeed = nSeed !== undefined ? nSeed >>> 0 : Math.floor(Math.random() * 0xffffffff);
+  self._nState = self._nSeed;
+}
+
+/**
+ * @method                                  - next
+ * @param                                   - none
+ * @returns {number}                        - A float in [0, 1).
+ * @summary                                 - Returns the next uniform number of the sequence.
+ * @date                                    - 19 - Oct - 2026
+ */
+SeededRandom.prototype.next = function () {
+  let self = this;
+  self._nState = (self._nState + 0x6d2b79f5) >>> 0;
+  let t = self._nState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * @method                                  - gaussian
+ * @param                                   - none
+ * @returns {number}                        - A normally distributed number (mean 0, deviation 1).
+ * @summary                                 - Box-Muller transform over the uniform sequence, used for noise.
+ * @date                                    - 19 - Oct - 2026
+ */
+SeededRandom.prototype.gaussian = function () {
+  let self = this;
+  const u = 1 - self.next(); // Avoid log(0)
+  const v = self.next();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * @method                                  - getSeed
+ * @param                                   - none
+ * @returns {number}                        - The seed the sequence started from.
+ * @summary                                 - Exposes the seed so a run can be logged and reproduced.
+ * @date                                    - 19 - Oct - 2026
+ */
+SeededRandom.prototype.getSeed = function () {
+  let self = this;
+  return self._nSeed;
+};
+
+module.exports = SeededRandom;
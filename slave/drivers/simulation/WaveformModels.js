@@ -0,0 +1,128 @@
+/**
+ * Waveform models for the simulator driver. Every model advances one step per sample (not per wall-clock
+ * millisecond) so that a seeded run yields the same sequence whatever the sampling interval or system load.
+ * Parameters not given in the handler options are derived from the sensor range { min, max }.
+ */
+
+/**
+ * @method                                  - uniform
+ * @summary                                 - Independent uniform values across the range (the original behaviour).
+ */
+function uniform(objParams, objRange, rng)
+{
+  return {
+    next: function () {
+      return objRange.min + rng.next() * (objRange.max - objRange.min);
+    },
+  };
+}
+
+/**
+ * @method                                  - randomWalk
+ * @summary                                 - Gaussian steps of size 'step' from 'start', reflected at the range limits.
+ */
+function randomWalk(objParams, objRange, rng)
+{
+  const span = objRange.max - objRange.min;
+  const step = objParams.step !== undefined ? objParams.step : span * 0.02;
+  let value = objParams.start !== undefined ? objParams.start : objRange.min + span / 2;
+  return {
+    next: function () {
+      value += rng.gaussian() * step;
+      if (value > objRange.max) value = 2 * objRange.max - value;
+      if (value < objRange.min) value = 2 * objRange.min - value;
+      return value;
+    },
+  };
+}
+
+/**
+ * @method                                  - sine
+ * @summary                                 - offset + amplitude * sin(2 pi n / period + phase), plus gaussian noise.
+ */
+function sine(objParams, objRange, rng)
+{
+  const span = objRange.max - objRange.min;
+  const period = objParams.period || 60;
+  const amplitude = objParams.amplitude !== undefined ? objParams.amplitude : span * 0.4;
+  const offset = objParams.offset !== undefined ? objParams.offset : objRange.min + span / 2;
+  const noise = objParams.noise !== undefined ? objParams.noise : span * 0.01;
+  const phase = objParams.phase || 0;
+  let n = 0;
+  return {
+    next: function () {
+      const value = offset + amplitude * Math.sin((2 * Math.PI * n) / period + phase);
+      n++;
+      return value + rng.gaussian() * noise;
+    },
+  };
+}
+
+/**
+ * @method                                  - step
+ * @summary                                 - Cycles through 'levels', holding each for 'hold' samples, plus gaussian noise.
+ */
+function step(objParams, objRange, rng)
+{
+  const span = objRange.max - objRange.min;
+  const levels = objParams.levels || [objRange.min + span * 0.25, objRange.min + span * 0.5, objRange.min + span * 0.75];
+  const hold = objParams.hold || 20;
+  const noise = objParams.noise !== undefined ? objParams.noise : span * 0.005;
+  let n = 0;
+  return {
+    next: function () {
+      const value = levels[Math.floor(n / hold) % levels.length];
+      n++;
+      return value + rng.gaussian() * noise;
+    },
+  };
+}
+
+/**
+ * @method                                  - drift
+ * @summary                                 - Starts at 'start' and moves by 'rate' every sample, plus gaussian noise.
+ *                                            Not clamped: a drifting sensor is expected to leave its range eventually.
+ */
+function drift(objParams, objRange, rng)
+{
+  const span = objRange.max - objRange.min;
+  const rate = objParams.rate !== undefined ? objParams.rate : span * 0.001;
+  const noise = objParams.noise !== undefined ? objParams.noise : span * 0.005;
+  let value = objParams.start !== undefined ? objParams.start : objRange.min + span * 0.25;
+  return {
+    next: function () {
+      value += rate;
+      return value + rng.gaussian() * noise;
+    },
+  };
+}
+
+const MODELS = {
+  uniform: uniform,
+  "random-walk": randomWalk,
+  sine: sine,
+  step: step,
+  drift: drift,
+};
+
+/**
+ * @method                                  - createModel
+ * @param {string} strModel                 - One of the MODELS keys.
+ * @param {object} objParams                - Model parameters from the handler options.
+ * @param {object} objRange                 - The sensor range { min, max }.
+ * @param {object} rng                      - A SeededRandom instance.
+ * @returns {object}                        - An object whose next() returns the next sample.
+ * @summary                                 - Instantiates a waveform model.
+ * @date                                    - 19 - Oct - 2026
+ */
+function createModel(strModel, objParams, objRange, rng)
+{
+  const fnModel = MODELS[strModel];
+  if (!fnModel)
+  {
+    throw new Error(`Unknown simulation model '${strModel}'. Expected one of: ${Object.keys(MODELS).join(", ")}`);
+  }
+  return fnModel(objParams, objRange, rng);
+}
+
+module.exports = { createModel, MODELS };
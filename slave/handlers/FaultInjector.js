@@ -0,0 +1,145 @@
+const SeededRandom = require("../drivers/simulation/SeededRandom");
+
+const FAULT_TYPES = ["stuck", "spike", "dropout", "out-of-range"];
+
+/**
+ * @class                                   - FaultInjector
+ * @param {object} [objRange]               - Nominal sensor range { min, max }, used to size spikes and bursts.
+ * @constructor
+ * @summary                                 - Applies faults injected at runtime to the readings of one handler:
+ *                                              stuck        - the value freezes at the first reading after injection
+ *                                              spike        - with 'probability' a reading jumps by +/- 'magnitude'
+ *                                              dropout      - with 'probability' a reading is not sent at all
+ *                                              out-of-range - with 'probability' a reading lands outside { min, max }
+ *                                            A fault with 'durationMs' expires by itself, otherwise it lasts until cleared.
+ * @date                                    - 19 - Oct - 2026
+ */
+function FaultInjector(objRange)
+{
+  let self = this;
+  self._range = objRange || null;
+  self._faults = [];
+}
+
+/**
+ * @method                                  - inject
+ * @param {object} objFault                 - { type, durationMs?, probability?, magnitude?, seed? }
+ * @returns                                 - none
+ * @summary                                 - Activates a fault. Injecting a type that is already active replaces it.
+ * @date                                    - 19 - Oct - 2026
+ */
+FaultInjector.prototype.inject = function (objFault) {
+  let self = this;
+  if (!objFault || !FAULT_TYPES.includes(objFault.type))
+  {
+    throw new Error(`Unknown fault type '${objFault && objFault.type}'. Expected one of: ${FAULT_TYPES.join(", ")}`);
+  }
+  const span = self._range ? self._range.max - self._range.min : null;
+  self.clear(objFault.type);
+  self._faults.push({
+    type: objFault.type,
+    expiresAt: objFault.durationMs ? Date.now() + objFault.durationMs : null,
+    probability: objFault.probability !== undefined ? objFault.probability : objFault.type === "spike" ? 0.2 : 1,
+    magnitude: objFault.magnitude !== undefined ? objFault.magnitude : span,
+    rng: new SeededRandom(objFault.seed),
+    stuckValue: null,
+  });
+};
+
+/**
+ * @method                                  - clear
+ * @param {string} [strType]                - The fault type to clear. All faults are cleared when omitted.
+ * @returns                                 - none
+ * @summary                                 - Deactivates injected faults.
+ * @date                                    - 19 - Oct - 2026
+ */
+FaultInjector.prototype.clear = function (strType) {
+  let self = this;
+  self._faults = strType ? self._faults.filter((fault) => fault.type !== strType) : [];
+};
+
+/**
+ * @method                                  - list
+ * @param                                   - none
+ * @returns {string[]}                      - The types of the faults currently active.
+ * @summary                                 - Reports the active faults, e.g. for inclusion in data packets.
+ * @date                                    - 19 - Oct - 2026
+ */
+FaultInjector.prototype.list = function () {
+  let self = this;
+  self._expire();
+  return self._faults.map((fault) => fault.type);
+};
+
+/**
+ * @method                                  - setRange
+ * @param {object|null} objRange            - The new { min, max } of the sensor, or null.
+ * @returns                                 - none
+ * @summary                                 - Follows a change of the handler's driver; active faults are kept.
+ * @date                                    - 19 - Oct - 2026
+ */
+FaultInjector.prototype.setRange = function (objRange) {
+  let self = this;
+  self._range = objRange || null;
+};
+
+/**
+ * @method                                  - apply
+ * @param {number} value                    - The reading produced by the driver.
+ * @returns {number|null}                   - The faulted reading, or null if it must be dropped.
+ * @summary                                 - Runs a reading through every active fault.
+ * @date                                    - 19 - Oct - 2026
+ */
+FaultInjector.prototype.apply = function (value) {
+  let self = this;
+  self._expire();
+  let result = value;
+
+  for (const fault of self._faults)
+  {
+    if (fault.type === "stuck")
+    {
+      if (fault.stuckValue === null) fault.stuckValue = result;
+      result = fault.stuckValue;
+      continue;
+    }
+    if (fault.rng.next() >= fault.probability) continue;
+
+    const magnitude = fault.magnitude !== null ? fault.magnitude : Math.abs(result) || 1;
+    switch (fault.type)
+    {
+      case "spike":
+        result += fault.rng.next() < 0.5 ? -magnitude : magnitude;
+        break;
+      case "dropout":
+        return null;
+      case "out-of-range":
+        if (self._range)
+        {
+          const excess = magnitude * (0.1 + fault.rng.next() * 0.4);
+          result = fault.rng.next() < 0.5 ? self._range.min - excess : self._range.max + excess;
+        }
+        else
+        {
+          result = result * 10 + magnitude;
+        }
+        break;
+    }
+  }
+  return result;
+};
+
+/**
+ * @method                                  - _expire
+ * @param                                   - none
+ * @returns                                 - none
+ * @summary                                 - Drops faults whose duration has elapsed.
+ * @date                                    - 19 - Oct - 2026
+ */
+FaultInjector.prototype._expire = function () {
+  let self = this;
+  const now = Date.now();
+  self._faults = self._faults.filter((fault) => !fault.expiresAt || fault.expiresAt > now);
+};
+
+module.exports = FaultInjector;
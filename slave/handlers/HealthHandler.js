@@ -1,23 +1,48 @@
+const fs = require("fs");
+const os = require("os");
+const v8 = require("v8");
+const { monitorEventLoopDelay } = require("perf_hooks");
 const config = require("../../config/Config.js");
 const logger = require("../../config/logger")("handler");
+
+const MB = 1024 * 1024;
+const LOOP_DELAY_RESOLUTION_MS = 20; // Sampling step of the event-loop delay histogram
+const STATUS_RANK = { online: 0, degraded: 1, error: 2 }; // Worse status wins
+// Metrics where a low value is the problem; for the others a high value is
+const LOWER_IS_WORSE = ["diskFreeMb"];
 /**
  * @class                                   - HealthHandler
  * @extends                                 - N/A
  * @param {string} strSlaveId               - The unique identifier of the slave node.
  * @param {function} onHealthCallback       - Callback function to send health status to the master.
+ * @param {object} objOptions               - { thresholds, bufferDir, getHandlerStatus, getLastError }:
+ *                                            thresholds overrides HEALTH_THRESHOLDS per metric, bufferDir is where
+ *                                            free disk space is measured, getHandlerStatus() returns the sensor
+ *                                            handler states and getLastError() the last error the slave saw.
  * @constructor
  * @summary                                 - Handles periodic health status reporting from the slave to the master.
+ *                                            Each report carries process and host metrics, the handler states and
+ *                                            the last error, and the status the slave derives from them:
+ *                                            'online', 'degraded' or 'error'.
  * @author                                  - Gaurav Kishore
  * @date                                    - 15 - Oct - 2025
  *
  */
 
-function HealthHandler(strSlaveId, onHealthCallback) 
+function HealthHandler(strSlaveId, onHealthCallback, objOptions) 
 {
   let self = this;
+  const options = objOptions || {};
   self._slaveId = strSlaveId;
   self._onHealthCallback = onHealthCallback;
   self._intervalId = null;
+  self._thresholds = mergeThresholds(config.CONFIG_PARAMS.HEALTH_THRESHOLDS, options.thresholds);
+  self._strBufferDir = options.bufferDir || process.cwd();
+  self._fnGetHandlerStatus = options.getHandlerStatus || (() => ({}));
+  self._fnGetLastError = options.getLastError || (() => null);
+  self._loopDelay = monitorEventLoopDelay({ resolution: LOOP_DELAY_RESOLUTION_MS });
+  self._cpuUsage = null; // CPU time at the previous report
+  self._nCpuSampledAt = null;
   logger.info(`[Handler] Created health handler for: ${self._slaveId}`);
 }
 
@@ -35,13 +60,18 @@ HealthHandler.prototype.start = function () {
   if (self._intervalId) return;
   try 
   {
+    self._loopDelay.enable();
+    self._cpuUsage = process.cpuUsage();
+    self._nCpuSampledAt = Date.now();
     self._intervalId = setInterval(function () {
-      const healthPacket = {
-        slaveIp: self._slaveId,
-        status: "online",
-        timestamp: new Date().toISOString(),
-      };
-      self._onHealthCallback(healthPacket);
+      try
+      {
+        self._onHealthCallback(self.buildReport());
+      }
+      catch (err)
+      {
+        logger.error(`[Handler] Health report failed: ${err.message}`);
+      }
     }, config.CONFIG_PARAMS.HEALTH_REPORT_INTERVAL_MS); // Send health every 10 seconds
   }
   catch (err) 
@@ -65,6 +95,7 @@ HealthHandler.prototype.stop = function () {
     if (!self._intervalId) return;
     clearInterval(self._intervalId);
     self._intervalId = null;
+    self._loopDelay.disable();
   }
   catch (err) 
   {
@@ -72,4 +103,153 @@ HealthHandler.prototype.stop = function () {
   }
 };
 
+/**
+ * @method                                  - setThresholds
+ * @param {object} [objThresholds]          - The slave's 'health' overrides of HEALTH_THRESHOLDS.
+ * @returns                                 - none
+ * @summary                                 - Replaces the thresholds without restarting the report timer.
+ * @date                                    - 19 - Oct - 2026
+ */
+HealthHandler.prototype.setThresholds = function (objThresholds) {
+  let self = this;
+  self._thresholds = mergeThresholds(config.CONFIG_PARAMS.HEALTH_THRESHOLDS, objThresholds);
+  logger.info(`[Handler] Updated health thresholds for: ${self._slaveId}`);
+};
+
+/**
+ * @method                                  - buildReport
+ * @param                                   - none
+ * @returns {object}                        - { slaveIp, status, reasons, metrics, handlers, lastError, timestamp }
+ * @summary                                 - Collects the metrics and rates them against the thresholds.
+ * @date                                    - 19 - Oct - 2026
+ */
+HealthHandler.prototype.buildReport = function () {
+  let self = this;
+  const metrics = self.collectMetrics();
+  const handlers = self._fnGetHandlerStatus();
+  const evaluation = self.evaluate(metrics, handlers);
+  return {
+    slaveIp: self._slaveId,
+    status: evaluation.status,
+    reasons: evaluation.reasons,
+    metrics: metrics,
+    handlers: handlers,
+    lastError: self._fnGetLastError(),
+    timestamp: new Date().toISOString(),
+  };
+};
+
+/**
+ * @method                                  - collectMetrics
+ * @param                                   - none
+ * @returns {object}                        - { uptimeS, cpuPercent, loadAvg1m, rssMb, heapUsedMb, heapPercent,
+ *                                            systemFreeMemMb, eventLoopLagMs (99th percentile), eventLoopLagMaxMs,
+ *                                            diskFreeMb }. CPU and event-loop lag cover the time since the previous report.
+ * @summary                                 - Samples the process and host metrics.
+ * @date                                    - 19 - Oct - 2026
+ */
+HealthHandler.prototype.collectMetrics = function () {
+  let self = this;
+  const nNow = Date.now();
+  const cpuDelta = process.cpuUsage(self._cpuUsage);
+  const nElapsedMs = Math.max(1, nNow - self._nCpuSampledAt);
+  self._cpuUsage = process.cpuUsage();
+  self._nCpuSampledAt = nNow;
+
+  const memory = process.memoryUsage();
+  const nHeapLimit = v8.getHeapStatistics().heap_size_limit;
+  // The histogram measures the sampling timer itself, so its resolution is not lag
+  const lag = (nNanoseconds) => (self._loopDelay.count > 0 ? Math.max(0, nNanoseconds / 1e6 - LOOP_DELAY_RESOLUTION_MS) : 0);
+  const nLagMs = lag(self._loopDelay.percentile(99));
+  const nLagMaxMs = lag(self._loopDelay.max);
+  self._loopDelay.reset();
+
+  return {
+    uptimeS: Math.round(process.uptime()),
+    cpuPercent: round((cpuDelta.user + cpuDelta.system) / 1000 / nElapsedMs * 100),
+    loadAvg1m: round(os.loadavg()[0]),
+    rssMb: round(memory.rss / MB),
+    heapUsedMb: round(memory.heapUsed / MB),
+    heapPercent: round(memory.heapUsed / nHeapLimit * 100),
+    systemFreeMemMb: round(os.freemem() / MB),
+    eventLoopLagMs: round(nLagMs),
+    eventLoopLagMaxMs: round(nLagMaxMs),
+    diskFreeMb: self._diskFreeMb(),
+  };
+};
+
+/**
+ * @method                                  - evaluate
+ * @param {object} metrics                  - From collectMetrics.
+ * @param {object} handlers                 - Handler type -> { state, ... } from getHandlerStatus.
+ * @returns {object}                        - { status, reasons }: the worst status any metric or handler reaches, and why.
+ * @summary                                 - Rates the metrics against the thresholds. A failing sensor handler makes the
+ *                                            slave degraded; it is in error when all of them fail.
+ * @date                                    - 19 - Oct - 2026
+ */
+HealthHandler.prototype.evaluate = function (metrics, handlers) {
+  let self = this;
+  let strStatus = "online";
+  const reasons = [];
+  const raise = (strLevel, strReason) => {
+    reasons.push(strReason);
+    if (STATUS_RANK[strLevel] > STATUS_RANK[strStatus]) strStatus = strLevel;
+  };
+
+  Object.keys(self._thresholds).forEach((strMetric) => {
+    const value = metrics[strMetric];
+    if (value === null || value === undefined) return;
+    const limits = self._thresholds[strMetric];
+    const bLowerIsWorse = LOWER_IS_WORSE.includes(strMetric);
+    const breaches = (limit) => limit !== undefined && (bLowerIsWorse ? value <= limit : value >= limit);
+    if (breaches(limits.error)) raise("error", `${strMetric} ${value} (error at ${limits.error})`);
+    else if (breaches(limits.degraded)) raise("degraded", `${strMetric} ${value} (degraded at ${limits.degraded})`);
+  });
+
+  const types = Object.keys(handlers);
+  const failing = types.filter((strType) => handlers[strType].state === "failing");
+  if (failing.length > 0)
+  {
+    raise(failing.length === types.length ? "error" : "degraded", `handlers failing: ${failing.join(", ")}`);
+  }
+  return { status: strStatus, reasons: reasons };
+};
+
+/**
+ * @method                                  - _diskFreeMb
+ * @param                                   - none
+ * @returns {number|null}                   - Free space available to the slave on the buffer's file system, or null
+ *                                            if it cannot be read.
+ * @summary                                 - Measures the space left for buffered readings.
+ * @date                                    - 19 - Oct - 2026
+ */
+HealthHandler.prototype._diskFreeMb = function () {
+  let self = this;
+  try
+  {
+    const stats = fs.statfsSync(self._strBufferDir);
+    return round(stats.bavail * stats.bsize / MB);
+  }
+  catch (err)
+  {
+    logger.warn(`[Handler] Could not read free disk space of ${self._strBufferDir}: ${err.message}`);
+    return null;
+  }
+};
+
+function mergeThresholds(defaults, overrides)
+{
+  const merged = {};
+  Object.keys(defaults).forEach((strMetric) => (merged[strMetric] = Object.assign({}, defaults[strMetric])));
+  Object.keys(overrides || {}).forEach((strMetric) => {
+    merged[strMetric] = Object.assign(merged[strMetric] || {}, overrides[strMetric]);
+  });
+  return merged;
+}
+
+function round(value)
+{
+  return Math.round(value * 100) / 100;
+}
+
 module.exports = HealthHandler;
@@ -1,23 +1,39 @@
 const logger = require("../../config/logger")("handler");
+const { registry } = require("../drivers/DriverRegistry");
+const FaultInjector = require("./FaultInjector");
+const { normalizeHandlerEntry } = require("../../config/handlerConfig");
+const { stableStringify } = require("../../config/stableStringify");
+
+const DRIVER_FIELDS = ["driver", "options", "min", "max"]; // Changing these needs a new driver
 
 /**
  * @class                                   - SensorHandler
  * @param {string} strHandlerType           - The type of sensor (e.g., 'temperature', 'humidity').
  * @param {string} strSlaveId               - The unique identifier of the slave node.
  * @param {function} strOnDataCallback      - Callback function to send data to the master.
+ * @param {object} [objHandlerConfig]       - The handler's config entry (see config/handlerConfig.js): driver, interval,
+ *                                            unit, range, precision and metadata.
  * @constructor
  * @summary                                 - Handles periodic data generation from a specific sensor type and sends it to the master.
  * @author                                  - Gaurav Kishore
  * @date                                    - 15 - Oct - 2025
  */
 
-function SensorHandler(strHandlerType, strSlaveId, strOnDataCallback) 
+function SensorHandler(strHandlerType, strSlaveId, strOnDataCallback, objHandlerConfig) 
 {
   let self = this;
+  const objConfig = normalizeHandlerEntry(Object.assign({ type: strHandlerType }, objHandlerConfig));
   self._handlerType = strHandlerType;
+  self._config = objConfig;
   self._slaveId = strSlaveId;
   self._onDataCallback = strOnDataCallback;
   self._intervalId = null;
+  self._bReading = false; // True while a driver read is in flight
+  self._stats = { readings: 0, errors: 0, lastReadingAt: null, lastError: null }; // Reported in the health packet
+  self._driver = registry.create(strHandlerType, objConfig.driver, self._driverOptions());
+  self._faultInjector = new FaultInjector(
+    typeof self._driver.getRange === "function" ? self._driver.getRange() : null
+  );
   logger.info(`[Handler] Created handler for: ${self._handlerType}`);
 }
 
@@ -34,18 +50,39 @@ SensorHandler.prototype.start = function () {
   try 
   {
     if (self._intervalId) return; // Prevent multiple intervals
-    const randomInterval = 4000 + Math.random() * 5000; // 4-9 seconds
+    const interval = self._config.intervalMs || 4000 + Math.random() * 5000; // Configured, else 4-9 seconds
     self._intervalId = setInterval(function () {
-      const value = (Math.random() * 100).toFixed(2);
-      const dataPacket = {
-        slaveIp: self._slaveId,
-        handler: self._handlerType,
-        value: parseFloat(value),
-        timestamp: new Date().toISOString(),
-      };
-      // Give the data back to the SlaveNode to send
-      self._onDataCallback(dataPacket);
-    }, randomInterval);
+      if (self._bReading) return; // Slow drivers skip a tick instead of piling up reads
+      self._bReading = true;
+      self._driver.read(function (err, rawValue) {
+        self._bReading = false;
+        if (err)
+        {
+          logger.error(`[Handler] Driver read failed for ${self._handlerType}: ${err.message}`);
+          self._stats.errors++;
+          self._stats.lastError = { message: err.message, handler: self._handlerType, at: new Date().toISOString() };
+          return;
+        }
+        self._stats.readings++;
+        self._stats.lastReadingAt = new Date().toISOString();
+        if (!self._intervalId) return; // Stopped while the read was in flight
+        const faultedValue = self._faultInjector.apply(Number(rawValue));
+        if (faultedValue === null) return; // Dropout fault: nothing is sent for this sample
+        const value = faultedValue.toFixed(self._config.precision);
+        const dataPacket = {
+          slaveIp: self._slaveId,
+          handler: self._handlerType,
+          value: parseFloat(value),
+          unit: self._config.unit,
+          metadata: self._config.metadata,
+          timestamp: new Date().toISOString(),
+        };
+        const faults = self._faultInjector.list();
+        if (faults.length > 0) dataPacket.faults = faults; // Lets alert tests tell injected faults from real ones
+        // Give the data back to the SlaveNode to send
+        self._onDataCallback(dataPacket);
+      });
+    }, interval);
   } 
   catch (err) 
   {
@@ -68,6 +105,7 @@ SensorHandler.prototype.stop = function () {
     if (!self._intervalId) return;
     clearInterval(self._intervalId);
     self._intervalId = null;
+    if (typeof self._driver.close === "function") self._driver.close();
     logger.info(`[Handler] Stopped handler for: ${self._handlerType}`);
   } 
   catch (err) 
@@ -76,5 +114,112 @@ SensorHandler.prototype.stop = function () {
   }
 };
 
+/**
+ * @method                                  - reconfigure
+ * @param {object} objHandlerConfig         - The handler's new config entry.
+ * @returns {string[]}                      - The fields that changed.
+ * @summary                                 - Applies a new config entry in place. A new driver is opened only when the
+ *                                            driver, its options or the range changed, and the timer is restarted only
+ *                                            when the interval changed; counters and injected faults are kept. Throws,
+ *                                            leaving the old config in use, if the new driver cannot be created.
+ * @date                                    - 19 - Oct - 2026
+ */
+SensorHandler.prototype.reconfigure = function (objHandlerConfig) {
+  let self = this;
+  const objPrevious = self._config;
+  const objConfig = normalizeHandlerEntry(Object.assign({ type: self._handlerType }, objHandlerConfig));
+  const changed = Object.keys(objConfig).filter(
+    (strKey) => stableStringify(objConfig[strKey]) !== stableStringify(objPrevious[strKey])
+  );
+  if (changed.length === 0) return changed;
+
+  self._config = objConfig;
+  if (DRIVER_FIELDS.some((strKey) => changed.includes(strKey)))
+  {
+    try
+    {
+      const driver = registry.create(self._handlerType, objConfig.driver, self._driverOptions());
+      if (typeof self._driver.close === "function") self._driver.close();
+      self._driver = driver;
+      self._faultInjector.setRange(typeof driver.getRange === "function" ? driver.getRange() : null);
+    }
+    catch (err)
+    {
+      self._config = objPrevious;
+      throw err;
+    }
+  }
+  if (changed.includes("intervalMs") && self._intervalId)
+  {
+    clearInterval(self._intervalId);
+    self._intervalId = null;
+    self.start();
+  }
+  logger.info(`[Handler] Reconfigured handler for ${self._handlerType}: ${changed.join(", ")}`);
+  return changed;
+};
+
+/**
+ * @method                                  - _driverOptions
+ * @param                                   - none
+ * @returns {object}                        - The options passed to the driver.
+ * @summary                                 - The driver options, with the handler's min / max filled in where the options
+ *                                            don't set them, so the simulator follows the configured range.
+ * @date                                    - 19 - Oct - 2026
+ */
+SensorHandler.prototype._driverOptions = function () {
+  let self = this;
+  const objRange = {};
+  if (self._config.min !== null) objRange.min = self._config.min;
+  if (self._config.max !== null) objRange.max = self._config.max;
+  return Object.assign(objRange, self._config.options);
+};
+
+/**
+ * @method                                  - getStatus
+ * @param                                   - none
+ * @returns {object}                        - { state, driver, readings, errors, lastReadingAt, lastError, faults } where
+ *                                            state is 'running', 'failing' (the last read failed) or 'stopped'.
+ * @summary                                 - Reports the handler's state for the health packet.
+ * @date                                    - 19 - Oct - 2026
+ */
+SensorHandler.prototype.getStatus = function () {
+  let self = this;
+  const stats = self._stats;
+  let strState = "stopped";
+  if (self._intervalId)
+  {
+    const bLastReadFailed = stats.lastError && (!stats.lastReadingAt || stats.lastError.at >= stats.lastReadingAt);
+    strState = bLastReadFailed ? "failing" : "running";
+  }
+  return Object.assign({ state: strState, driver: self._config.driver, faults: self._faultInjector.list() }, stats);
+};
+
+/**
+ * @method                                  - injectFault
+ * @param {object} objFault                 - The fault to inject (see FaultInjector).
+ * @returns                                 - none
+ * @summary                                 - Activates a fault on this handler's readings. Throws on an unknown fault type.
+ * @date                                    - 19 - Oct - 2026
+ */
+SensorHandler.prototype.injectFault = function (objFault) {
+  let self = this;
+  self._faultInjector.inject(objFault);
+  logger.info(`[Handler] Injected '${objFault.type}' fault into ${self._handlerType}`);
+};
+
+/**
+ * @method                                  - clearFaults
+ * @param {string} [strType]                - The fault type to clear. All faults are cleared when omitted.
+ * @returns                                 - none
+ * @summary                                 - Removes injected faults from this handler.
+ * @date                                    - 19 - Oct - 2026
+ */
+SensorHandler.prototype.clearFaults = function (strType) {
+  let self = this;
+  self._faultInjector.clear(strType);
+  logger.info(`[Handler] Cleared ${strType || "all"} faults on ${self._handlerType}`);
+};
+
 // Export the class
 module.exports = SensorHandler;
@@ -6,7 +6,8 @@ const path = require("path");
   const slave = new SlaveNode(
     config.SLAVE_URL,
     path.join(__dirname, "slave_identity.json"),
-    path.join(__dirname, "slave_config.json")
+    path.join(__dirname, "slave_config.json"),
+    path.join(__dirname, "slave_credentials.json")
   );
   slave.start();
 })();
\ No newline at end of file
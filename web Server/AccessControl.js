@@ -0,0 +1,223 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const logger = require("../config/logger")("webserver");
+
+// What each role may do. The master only publishes; UI roles read, and operators and admins also act
+const ROLE_PERMISSIONS = {
+  master: ["publish"],
+  viewer: ["read"],
+  operator: ["read", "control", "config"],
+  admin: ["read", "control", "config", "admin"],
+};
+
+/**
+ * @class 									      - AccessControl
+ * @extends 								      - none
+ * @param {string} strFilePath				- Path to the access file:
+ * 									   	  		  { "masterToken": "<hex>",
+ * 									   	  		    "users": { "<name>": { "role": "operator", "salt": "<hex>", "hash": "<hex>" } } }
+ * @param {number} nSessionTtlMs				- Lifetime of a login session.
+ * @constructor
+ * @summary 										- Decides who a webserver client is: the master (by its token) or a dashboard
+ * 									   	  		  user (by password, or by the session token a password login returned).
+ * 									   	  		  Sessions live in memory; after a restart users log in again.
+ * @date												- 19 - Oct - 2026
+ */
+function AccessControl(strFilePath, nSessionTtlMs)
+{
+  let self = this;
+  self._strFilePath = strFilePath;
+  self._nSessionTtlMs = nSessionTtlMs;
+  self._sessions = new Map(); // Session token -> { username, role, expiresAt }
+}
+
+/**
+ * @method											- authenticate
+ * @param {object} credentials					- { token } or { username, password }, e.g. a Socket.IO handshake 'auth'.
+ * @returns {object|null}							- { role, username, token } or null if the credentials are not valid.
+ * @summary											- Identifies a client.
+ * @date												- 19 - Oct - 2026
+ */
+AccessControl.prototype.authenticate = function (credentials) {
+  let self = this;
+  if (!credentials) return null;
+
+  if (credentials.username !== undefined)
+  {
+    const session = self.login(credentials.username, credentials.password);
+    return session ? { role: session.role, username: session.username, token: session.token } : null;
+  }
+  if (typeof credentials.token !== "string") return null;
+
+  const access = self._read();
+  if (access.masterToken && safeEqual(credentials.token, access.masterToken))
+  {
+    return { role: "master", username: "master", token: null };
+  }
+  const session = self._sessions.get(credentials.token);
+  if (!session) return null;
+  if (session.expiresAt <= Date.now())
+  {
+    self._sessions.delete(credentials.token);
+    return null;
+  }
+  return { role: session.role, username: session.username, token: credentials.token };
+};
+
+/**
+ * @method											- login
+ * @param {string} strUsername					- The user name.
+ * @param {string} strPassword					- The password.
+ * @returns {object|null}							- { token, username, role, permissions, expiresAt } or null if the
+ * 											  		  user is unknown or the password is wrong.
+ * @summary											- Checks a password and opens a session.
+ * @date												- 19 - Oct - 2026
+ */
+AccessControl.prototype.login = function (strUsername, strPassword) {
+  let self = this;
+  const user = self._read().users[strUsername];
+  if (!user || typeof strPassword !== "string" || !ROLE_PERMISSIONS[user.role] ||
+      !safeEqual(hashPassword(strPassword, user.salt), user.hash))
+  {
+    logger.warn(`[WebServer] Failed login for '${strUsername}'`);
+    return null;
+  }
+
+  const session = {
+    token: crypto.randomBytes(32).toString("hex"),
+    username: strUsername,
+    role: user.role,
+    permissions: ROLE_PERMISSIONS[user.role],
+    expiresAt: Date.now() + self._nSessionTtlMs,
+  };
+  self._sessions.set(session.token, { username: session.username, role: session.role, expiresAt: session.expiresAt });
+  logger.info(`[WebServer] ${strUsername} logged in as ${user.role}`);
+  return session;
+};
+
+/**
+ * @method											- logout
+ * @param {string} strToken						- The session token.
+ * @returns {boolean}								- False if there was no such session.
+ * @summary											- Ends a session.
+ * @date												- 19 - Oct - 2026
+ */
+AccessControl.prototype.logout = function (strToken) {
+  let self = this;
+  return self._sessions.delete(strToken);
+};
+
+/**
+ * @method											- can
+ * @param {string} strRole							- The client's role.
+ * @param {string} strPermission					- 'publish', 'read', 'control', 'config' or 'admin'.
+ * @returns {boolean}								- Whether the role has the permission.
+ * @summary											- Permission check for a request.
+ * @date												- 19 - Oct - 2026
+ */
+AccessControl.prototype.can = function (strRole, strPermission) {
+  return (ROLE_PERMISSIONS[strRole] || []).includes(strPermission);
+};
+
+/**
+ * @method											- rotateMasterToken
+ * @param											- none
+ * @returns {string}								- The new master token.
+ * @summary											- Generates a new token for the master. The old one stops working at once; the
+ * 											  		  master presents the new one from its webserver_token.json.
+ * @date												- 19 - Oct - 2026
+ */
+AccessControl.prototype.rotateMasterToken = function () {
+  let self = this;
+  const access = self._read();
+  access.masterToken = crypto.randomBytes(32).toString("hex");
+  self._write(access);
+  return access.masterToken;
+};
+
+/**
+ * @method											- setUser
+ * @param {string} strUsername					- The user name.
+ * @param {string} strRole							- 'viewer', 'operator' or 'admin'.
+ * @param {string} strPassword					- The new password.
+ * @returns											- none
+ * @summary											- Creates a user or changes its role and password.
+ * @date												- 19 - Oct - 2026
+ */
+AccessControl.prototype.setUser = function (strUsername, strRole, strPassword) {
+  let self = this;
+  if (!ROLE_PERMISSIONS[strRole] || strRole === "master")
+  {
+    throw new Error(`Unknown role '${strRole}'.`);
+  }
+  const access = self._read();
+  const salt = crypto.randomBytes(16).toString("hex");
+  access.users[strUsername] = { role: strRole, salt: salt, hash: hashPassword(strPassword, salt) };
+  self._write(access);
+};
+
+/**
+ * @method											- removeUser
+ * @param {string} strUsername					- The user name.
+ * @returns {boolean}								- False if there was no such user.
+ * @summary											- Deletes a user. Sessions already open stay valid until they expire.
+ * @date												- 19 - Oct - 2026
+ */
+AccessControl.prototype.removeUser = function (strUsername) {
+  let self = this;
+  const access = self._read();
+  if (!access.users[strUsername]) return false;
+  delete access.users[strUsername];
+  self._write(access);
+  return true;
+};
+
+/**
+ * @method											- _read
+ * @param											- none
+ * @returns {object}								- The access file content; no users and no master token if it is missing.
+ * @summary											- Reads the access file. It is read on every check, so user changes apply
+ * 											  		  without a restart.
+ * @date												- 19 - Oct - 2026
+ */
+AccessControl.prototype._read = function () {
+  let self = this;
+  try
+  {
+    const access = JSON.parse(fs.readFileSync(self._strFilePath, "utf8"));
+    if (!access.users) access.users = {};
+    return access;
+  }
+  catch (err)
+  {
+    if (err.code !== "ENOENT") logger.error(`[WebServer] Error reading ${self._strFilePath}: ${err.message}`);
+    return { masterToken: null, users: {} };
+  }
+};
+
+/**
+ * @method											- _write
+ * @param {object} access							- The access file content.
+ * @returns											- none
+ * @summary											- Writes the access file atomically.
+ * @date												- 19 - Oct - 2026
+ */
+AccessControl.prototype._write = function (access) {
+  let self = this;
+  fs.writeFileSync(self._strFilePath + ".tmp", JSON.stringify(access, null, 2));
+  fs.renameSync(self._strFilePath + ".tmp", self._strFilePath);
+};
+
+function hashPassword(strPassword, strSalt)
+{
+  return crypto.scryptSync(strPassword, strSalt, 64).toString("hex");
+}
+
+function safeEqual(strA, strB)
+{
+  const a = Buffer.from(String(strA));
+  const b = Buffer.from(String(strB));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = { AccessControl, ROLE_PERMISSIONS };
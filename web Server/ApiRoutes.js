@@ -0,0 +1,460 @@
+const express = require("express");
+const logger = require("../config/logger")("webserver");
+
+// HTTP status for each control command outcome
+const OUTCOME_STATUS = {
+  success: 200,
+  "unknown-action": 400,
+  forbidden: 403,
+  "not-found": 404,
+  partial: 207,
+  error: 500,
+  "slave-offline": 409,
+  "master-offline": 503,
+  timeout: 504,
+};
+
+// HTTP status for each error code of a request relayed to the master
+const RELAY_ERROR_STATUS = {
+  "not-found": 404,
+  invalid: 422,
+  conflict: 409,
+  "master-offline": 503,
+  timeout: 504,
+};
+
+// Formats of GET /export: each record becomes one line
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    header: "timestamp,slaveId,handler,value,unit\n",
+    line: (record) => [record.timestamp, record.slaveId, record.handler, record.value, record.unit].map(csvField).join(",") + "\n",
+  },
+  ndjson: {
+    contentType: "application/x-ndjson",
+    header: "",
+    line: (record) => JSON.stringify({
+      timestamp: record.timestamp,
+      slaveId: record.slaveId,
+      handler: record.handler,
+      value: record.value,
+      unit: record.unit, // Left out when the handler reports none
+    }) + "\n",
+  },
+};
+
+/**
+ * @method											- csvField
+ * @param {*} value									- A record field.
+ * @returns {string}								- The CSV field.
+ * @summary											- Quotes a field when needed; a missing value is empty, an object JSON.
+ */
+function csvField(value)
+{
+  if (value === undefined || value === null) return "";
+  const str = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * @method											- checkExportQuery
+ * @param {object} query							- { format?, slaveId?, handler?, from?, to? }
+ * @returns {string|null}							- What is wrong with the export query, or null.
+ * @summary											- Validates the filter of GET /export and POST /export/link.
+ */
+function checkExportQuery(query)
+{
+  const strFormat = query.format || "csv";
+  if (!EXPORT_FORMATS[strFormat]) return `Unknown format '${strFormat}'; use 'csv' or 'ndjson'.`;
+  for (const key of ["from", "to"])
+  {
+    if (query[key] !== undefined && isNaN(Date.parse(query[key]))) return `'${key}' is not a valid date.`;
+  }
+  return null;
+}
+
+/**
+ * @method											- sendRelayError
+ * @param {object} res								- The Express response.
+ * @param {object} response						- A relayToMaster answer carrying 'error'.
+ * @returns											- none
+ * @summary											- Maps a failed master request to an HTTP status.
+ */
+function sendRelayError(res, response)
+{
+  res.status(RELAY_ERROR_STATUS[response.code] || 500).json({ error: response.error, errors: response.errors });
+}
+
+/**
+ * @method											- authorize
+ * @param {object} webServer						- The WebServer instance.
+ * @param {string} strPermission					- The permission the route needs, see AccessControl.
+ * @returns {function}								- Express middleware.
+ * @summary											- Checks the 'Authorization: Bearer <token>' header (a session token from
+ * 											  		  POST /login) and answers 401 or 403 when it does not grant the permission.
+ */
+function authorize(webServer, strPermission)
+{
+  return (req, res, next) => {
+    const match = /^Bearer (.+)$/.exec(req.get("Authorization") || "");
+    const identity = match ? webServer._access.authenticate({ token: match[1] }) : null;
+    if (!identity)
+    {
+      return res.status(401).json({ error: "Login required." });
+    }
+    if (!webServer._access.can(identity.role, strPermission))
+    {
+      return res.status(403).json({ error: `Role '${identity.role}' may not do this.` });
+    }
+    req.identity = identity;
+    next();
+  };
+}
+
+/**
+ * @method											- relayScheduleChange
+ * @param {object} webServer						- The WebServer instance.
+ * @param {object} req								- The Express request, already authorized for 'control'.
+ * @param {object} res								- The Express response.
+ * @param {object} request							- The 'schedule' request for the master.
+ * @returns											- none
+ * @summary											- Checks the job-specific permissions and relays a schedule change.
+ */
+function relayScheduleChange(webServer, req, res, request)
+{
+  const strDenied = webServer.checkScheduleAccess(req.identity.role, request);
+  if (strDenied)
+  {
+    return res.status(403).json({ error: strDenied });
+  }
+  logger.info(`[WebServer] API schedule ${request.action}${request.jobId ? ` of job ${request.jobId}` : ""} by ${req.identity.username}`);
+  webServer.relayToMaster("schedule", request, (response) => {
+    if (response.error) return sendRelayError(res, response);
+    res.json(response);
+  });
+}
+
+/**
+ * @method											- createApiRouter
+ * @param {object} webServer						- The WebServer instance the routes read from and relay through.
+ * @returns {object}								- An Express router to mount on '/api'.
+ * @summary											- JSON HTTP API for scripts and services that don't speak Socket.IO:
+ * 											  		  POST /login                   - { username, password } -> session token
+ * 											  		  POST /logout                  - ends the session of the Bearer token
+ * 											  		  GET  /slaves                  - the fleet with handlers and last values
+ * 											  		  GET  /slaves/:id              - one slave
+ * 											  		  GET  /slaves/:id/readings     - recent readings (handler, from, to, limit)
+ * 											  		  GET  /summaries               - the master's last windowed summary (slaveId?)
+ * 											  		  GET  /export                  - sensor readings as a CSV or NDJSON download,
+ * 											  		                                  streamed (format, slaveId, handler, from, to)
+ * 											  		  POST /export/link             - the same filter -> a one-time download link
+ * 											  		                                  that needs no Authorization header
+ * 											  		  POST /slaves/:id/control      - { action, ...params } relayed to the master;
+ * 											  		                                  answers with the command result
+ * 											  		  POST /tags/:tag/control       - the same for every slave with the tag;
+ * 											  		                                  answers with one result per slave
+ * 											  		  GET  /config                  - the running master configuration and its version
+ * 											  		  POST /config/preview          - { config } -> validation errors and the changes
+ * 											  		  PUT  /config                  - { config, baseVersion?, comment? } saves it
+ * 											  		  GET  /config/versions         - accepted master configurations, newest first
+ * 											  		  GET  /config/versions/:v      - one version with its configuration
+ * 											  		  GET  /config/diff?from=&to=   - per-slave differences between two versions
+ * 											  		  POST /config/rollback         - { version, comment? } restores a version
+ * 											  		  GET  /schedule                - scheduled jobs, the next to run first
+ * 											  		  POST /schedule                - adds a job
+ * 											  		  PATCH /schedule/:id           - changes a job
+ * 											  		  DELETE /schedule/:id          - removes a job
+ * 											  		  GET  /registrations           - slaves waiting for approval, and rejected ones
+ * 											  		  POST /registrations/:id/approve - { handlers? | template?, comment? }
+ * 											  		  POST /registrations/:id/reject  - { reason? }
+ * 											  		  Reading needs a viewer session; control, config saves, rollback, approvals and job
+ * 											  		  changes an operator or admin session.
+ * @date												- 19 - Oct - 2026
+ */
+function createApiRouter(webServer)
+{
+  const router = express.Router();
+  router.use(express.json());
+
+  router.post("/login", (req, res) => {
+    const body = req.body || {};
+    const session = webServer._access.login(body.username, body.password);
+    if (!session)
+    {
+      return res.status(401).json({ error: "Wrong user name or password." });
+    }
+    res.json(session);
+  });
+
+  router.post("/logout", authorize(webServer, "read"), (req, res) => {
+    webServer.endSession(req.identity.token);
+    res.json({ ok: true });
+  });
+
+  router.get("/slaves", authorize(webServer, "read"), (req, res) => {
+    res.json(webServer.getFleetSnapshot());
+  });
+
+  router.get("/slaves/:id", authorize(webServer, "read"), (req, res) => {
+    const slave = webServer._fleet.getSlave(req.params.id);
+    if (!slave)
+    {
+      return res.status(404).json({ error: `Unknown slave '${req.params.id}'.` });
+    }
+    res.json(slave);
+  });
+
+  router.get("/slaves/:id/readings", authorize(webServer, "read"), (req, res) => {
+    const query = {
+      slaveId: req.params.id,
+      kind: "sensor",
+      handler: req.query.handler,
+      from: req.query.from,
+      to: req.query.to,
+      limit: req.query.limit ? parseInt(req.query.limit, 10) : 100,
+    };
+    webServer.relayToMaster("history-query", query, (response) => {
+      if (response.error) return sendRelayError(res, response);
+      res.json({ slaveId: req.params.id, readings: response.records });
+    });
+  });
+
+  router.get("/summaries", authorize(webServer, "read"), (req, res) => {
+    const summary = webServer._summary;
+    if (!summary)
+    {
+      return res.status(404).json({ error: "No summary received from the master yet." });
+    }
+    if (!req.query.slaveId) return res.json(summary);
+    res.json(Object.assign({}, summary, { series: summary.series.filter((series) => series.slaveIp === req.query.slaveId) }));
+  });
+
+  // Browsers cannot send the Authorization header with a plain download; they get a link from POST /export/link
+  const authorizeExport = (req, res, next) => {
+    if (req.query.ticket === undefined) return authorize(webServer, "read")(req, res, next);
+    const link = webServer.redeemExportLink(req.query.ticket);
+    if (!link)
+    {
+      return res.status(401).json({ error: "The download link is invalid or has expired." });
+    }
+    req.identity = link.identity;
+    req.exportQuery = link.query;
+    next();
+  };
+
+  router.get("/export", authorizeExport, (req, res) => {
+    const query = req.exportQuery || req.query;
+    const strError = checkExportQuery(query);
+    if (strError)
+    {
+      return res.status(400).json({ error: strError });
+    }
+    const strFormat = query.format || "csv";
+    const format = EXPORT_FORMATS[strFormat];
+    const filter = { slaveId: query.slaveId, handler: query.handler, from: query.from, to: query.to };
+    const strFileName = `readings-${(query.slaveId || "all").replace(/[^\w.-]/g, "_")}.${strFormat}`;
+    let bClosed = false;
+    res.on("close", () => (bClosed = true));
+
+    const strExportId = webServer.exportReadings(filter, {
+      onStart: () => {
+        logger.info(`[WebServer] API export ${strExportId} (${strFormat}) by ${req.identity.username}`);
+        res.status(200).set({ "Content-Type": format.contentType, "Content-Disposition": `attachment; filename="${strFileName}"` });
+        res.write(format.header);
+      },
+      // The next chunk is asked for once the client has taken this one
+      onRecords: (records, fnNext) => {
+        if (bClosed) return fnNext(false);
+        if (res.write(records.map(format.line).join(""))) return fnNext(true);
+        const resume = () => {
+          res.off("drain", resume);
+          res.off("close", resume);
+          fnNext(!bClosed);
+        };
+        res.on("drain", resume);
+        res.on("close", resume);
+      },
+      onEnd: (failure, nCount) => {
+        if (!failure)
+        {
+          logger.info(`[WebServer] API export ${strExportId} sent ${nCount} records.`);
+          return res.end();
+        }
+        if (!res.headersSent) return sendRelayError(res, failure);
+        // Too late for an error status: break the download off rather than let it look complete
+        logger.warn(`[WebServer] API export ${strExportId} failed: ${failure.error}`);
+        res.destroy();
+      },
+    });
+  });
+
+  router.post("/export/link", authorize(webServer, "read"), (req, res) => {
+    const body = req.body || {};
+    const query = { format: body.format, slaveId: body.slaveId, handler: body.handler, from: body.from, to: body.to };
+    const strError = checkExportQuery(query);
+    if (strError)
+    {
+      return res.status(400).json({ error: strError });
+    }
+    const link = webServer.createExportLink(query, req.identity.token);
+    res.json({ url: `/api/export?ticket=${link.ticket}`, expiresAt: link.expiresAt });
+  });
+
+  router.post("/slaves/:id/control", authorize(webServer, "control"), (req, res) => {
+    const command = Object.assign({}, req.body, { slaveId: req.params.id });
+    delete command.tag;
+    if (typeof command.action !== "string")
+    {
+      return res.status(400).json({ error: "'action' is required." });
+    }
+    logger.info(`[WebServer] API control '${command.action}' for slave ${command.slaveId} by ${req.identity.username}`);
+    webServer.sendControl(command, (result) => {
+      res.status(OUTCOME_STATUS[result.outcome] || 500).json(result);
+    });
+  });
+
+  router.post("/tags/:tag/control", authorize(webServer, "control"), (req, res) => {
+    const command = Object.assign({}, req.body, { tag: req.params.tag });
+    delete command.slaveId;
+    if (typeof command.action !== "string")
+    {
+      return res.status(400).json({ error: "'action' is required." });
+    }
+    logger.info(`[WebServer] API control '${command.action}' for tag '${command.tag}' by ${req.identity.username}`);
+    webServer.sendControl(command, (result) => {
+      res.status(OUTCOME_STATUS[result.outcome] || 500).json(result);
+    });
+  });
+
+  router.get("/config", authorize(webServer, "read"), (req, res) => {
+    webServer.relayToMaster("master-config", { action: "get" }, (response) => {
+      if (response.error) return sendRelayError(res, response);
+      res.json(response);
+    });
+  });
+
+  router.post("/config/preview", authorize(webServer, "read"), (req, res) => {
+    const body = req.body || {};
+    webServer.relayToMaster("master-config", { action: "preview", config: body.config }, (response) => {
+      if (response.error) return sendRelayError(res, response);
+      res.json(response);
+    });
+  });
+
+  router.put("/config", authorize(webServer, "config"), (req, res) => {
+    const body = req.body || {};
+    const request = {
+      action: "save",
+      config: body.config,
+      baseVersion: body.baseVersion,
+      comment: body.comment,
+      author: req.identity.username,
+    };
+    logger.info(`[WebServer] API configuration save by ${req.identity.username}`);
+    webServer.relayToMaster("master-config", request, (response) => {
+      if (response.error) return sendRelayError(res, response);
+      res.json(response);
+    });
+  });
+
+  router.get("/config/versions", authorize(webServer, "read"), (req, res) => {
+    webServer.relayToMaster("config-history", { action: "list" }, (response) => {
+      if (response.error) return sendRelayError(res, response);
+      res.json(response);
+    });
+  });
+
+  router.get("/config/versions/:version", authorize(webServer, "read"), (req, res) => {
+    const request = { action: "get", version: parseInt(req.params.version, 10) };
+    webServer.relayToMaster("config-history", request, (response) => {
+      if (response.error) return sendRelayError(res, response);
+      res.json(response.version);
+    });
+  });
+
+  router.get("/config/diff", authorize(webServer, "read"), (req, res) => {
+    const request = { action: "diff", from: parseInt(req.query.from, 10), to: parseInt(req.query.to, 10) };
+    if (Number.isNaN(request.from) || Number.isNaN(request.to))
+    {
+      return res.status(400).json({ error: "'from' and 'to' versions are required." });
+    }
+    webServer.relayToMaster("config-history", request, (response) => {
+      if (response.error) return sendRelayError(res, response);
+      res.json(response.diff);
+    });
+  });
+
+  router.post("/config/rollback", authorize(webServer, "config"), (req, res) => {
+    const body = req.body || {};
+    if (!Number.isInteger(body.version))
+    {
+      return res.status(400).json({ error: "'version' is required." });
+    }
+    const request = { action: "rollback", version: body.version, comment: body.comment, author: req.identity.username };
+    logger.info(`[WebServer] API rollback to configuration version ${body.version} by ${req.identity.username}`);
+    webServer.relayToMaster("config-history", request, (response) => {
+      if (response.error) return sendRelayError(res, response);
+      res.json(response);
+    });
+  });
+
+  router.get("/schedule", authorize(webServer, "read"), (req, res) => {
+    webServer.relayToMaster("schedule", { action: "list" }, (response) => {
+      if (response.error) return sendRelayError(res, response);
+      res.json(response);
+    });
+  });
+
+  router.post("/schedule", authorize(webServer, "control"), (req, res) => {
+    const request = { action: "add", job: req.body || {}, author: req.identity.username };
+    relayScheduleChange(webServer, req, res, request);
+  });
+
+  router.patch("/schedule/:id", authorize(webServer, "control"), (req, res) => {
+    const request = { action: "update", jobId: req.params.id, changes: req.body || {}, author: req.identity.username };
+    relayScheduleChange(webServer, req, res, request);
+  });
+
+  router.delete("/schedule/:id", authorize(webServer, "control"), (req, res) => {
+    const request = { action: "remove", jobId: req.params.id, author: req.identity.username };
+    relayScheduleChange(webServer, req, res, request);
+  });
+
+  router.get("/registrations", authorize(webServer, "read"), (req, res) => {
+    webServer.relayToMaster("slave-registration", { action: "list" }, (response) => {
+      if (response.error) return sendRelayError(res, response);
+      res.json(response);
+    });
+  });
+
+  router.post("/registrations/:id/approve", authorize(webServer, "config"), (req, res) => {
+    const body = req.body || {};
+    const request = {
+      action: "approve",
+      slaveId: req.params.id,
+      handlers: body.handlers,
+      template: body.template,
+      comment: body.comment,
+      author: req.identity.username,
+    };
+    logger.info(`[WebServer] API approval of slave ${req.params.id} by ${req.identity.username}`);
+    webServer.relayToMaster("slave-registration", request, (response) => {
+      if (response.error) return sendRelayError(res, response);
+      res.json(response);
+    });
+  });
+
+  router.post("/registrations/:id/reject", authorize(webServer, "config"), (req, res) => {
+    const body = req.body || {};
+    const request = { action: "reject", slaveId: req.params.id, reason: body.reason, author: req.identity.username };
+    logger.info(`[WebServer] API rejection of slave ${req.params.id} by ${req.identity.username}`);
+    webServer.relayToMaster("slave-registration", request, (response) => {
+      if (response.error) return sendRelayError(res, response);
+      res.json(response);
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createApiRouter };
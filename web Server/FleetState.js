@@ -0,0 +1,131 @@
+/**
+ * @class 									      - FleetState
+ * @extends 								      - none
+ * @constructor
+ * @summary 										- The webserver's view of the fleet, built from the packets the master forwards:
+ * 									   	  		  each slave's status (as decided by the master's liveness monitor), its last
+ * 									   	  		  health report, last-seen time and the last value of every handler.
+ * @date												- 19 - Oct - 2026
+ */
+function FleetState()
+{
+  let self = this;
+  self._slaves = new Map(); // Slave ID -> { id, status, lastSeen, handlers }
+}
+
+/**
+ * @method											- applyPacket
+ * @param {object} data							- A packet forwarded by the master ('data-ui' payload).
+ * @returns {object|null}							- The updated slave entry, or null for packets without a slave.
+ * @summary											- Updates the slave the packet belongs to.
+ * @date												- 19 - Oct - 2026
+ */
+FleetState.prototype.applyPacket = function (data) {
+  let self = this;
+  if (!data || !data.slaveIp) return null;
+
+  let slave = self._slaves.get(data.slaveIp);
+  if (!slave)
+  {
+    slave = {
+      id: data.slaveIp,
+      status: "unknown",
+      statusReason: null,
+      statusSince: null,
+      lastSeen: null,
+      health: null,
+      handlers: {},
+    };
+    self._slaves.set(data.slaveIp, slave);
+  }
+  slave.lastSeen = data.timestamp || new Date().toISOString();
+
+  if (data.metrics)
+  {
+    // Health report: the slave's own rating ('online', 'degraded', 'error'), kept apart from the
+    // connection state the master decides
+    slave.health = {
+      status: data.status,
+      reasons: data.reasons || [],
+      metrics: data.metrics,
+      handlers: data.handlers || {},
+      lastError: data.lastError || null,
+      timestamp: data.timestamp,
+    };
+    if (slave.status === "unknown") slave.status = "online";
+  }
+  else if (data.status)
+  {
+    // State changes from the master's liveness monitor carry a reason; heartbeats only confirm 'online'
+    if (data.status !== slave.status || data.reason)
+    {
+      slave.statusSince = slave.lastSeen;
+      slave.statusReason = data.reason || null;
+    }
+    slave.status = data.status;
+  }
+  else if (data.handler && data.value !== undefined)
+  {
+    if (slave.status === "unknown") slave.status = "online"; // Data before any state report: it's online
+    slave.handlers[data.handler] = {
+      value: data.value,
+      unit: data.unit || null,
+      metadata: data.metadata || {},
+      timestamp: data.timestamp,
+    };
+  }
+  return slave;
+};
+
+/**
+ * @method											- applySummary
+ * @param {object} summary							- A 'summary' from the master: { timestamp, windowsMs, series }.
+ * @returns											- none
+ * @summary											- Brings the handlers' last values up to date from the summaries, as the
+ * 											  		  master stops forwarding raw readings while no dashboard subscribes to them.
+ * @date												- 19 - Oct - 2026
+ */
+FleetState.prototype.applySummary = function (summary) {
+  let self = this;
+  const nShortestWindowMs = summary.windowsMs[0];
+  summary.series.forEach((series) => {
+    const window = series.windows[nShortestWindowMs];
+    if (!window || !window.count) return;
+    const slave = self._slaves.get(series.slaveIp);
+    const previous = slave && slave.handlers[series.handler];
+    if (previous && Date.parse(previous.timestamp) >= Date.parse(window.lastAt)) return; // Raw readings are newer
+    self.applyPacket({
+      slaveIp: series.slaveIp,
+      handler: series.handler,
+      value: window.last,
+      unit: series.unit,
+      timestamp: window.lastAt,
+    });
+  });
+};
+
+/**
+ * @method											- getSlave
+ * @param {string} strSlaveId						- The slave ID.
+ * @returns {object|undefined}					- The slave entry.
+ * @summary											- Looks up one slave.
+ * @date												- 19 - Oct - 2026
+ */
+FleetState.prototype.getSlave = function (strSlaveId) {
+  let self = this;
+  return self._slaves.get(strSlaveId);
+};
+
+/**
+ * @method											- listSlaves
+ * @param											- none
+ * @returns {object[]}								- All known slaves, sorted by ID.
+ * @summary											- Lists the fleet.
+ * @date												- 19 - Oct - 2026
+ */
+FleetState.prototype.listSlaves = function () {
+  let self = this;
+  return Array.from(self._slaves.values()).sort((a, b) => a.id.localeCompare(b.id));
+};
+
+module.exports = { FleetState };
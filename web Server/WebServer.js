@@ -1,20 +1,32 @@
 const express = require("express");
 const http = require("http");
+const { randomBytes, randomUUID } = require("crypto");
 const { Server } = require("socket.io");
 const logger = require("../config/logger")("webserver");
+const { CONFIG_PARAMS } = require("../config/Config");
+const { FleetState } = require("./FleetState");
+const { createApiRouter } = require("./ApiRoutes");
+const { AccessControl, ROLE_PERMISSIONS } = require("./AccessControl");
+
+const UI_ROOM = "ui"; // Socket.IO room of the UI dashboard clients
+const RAW_ROOM = "stream:raw"; // UI clients that receive every sensor reading
+const SUMMARY_ROOM = "stream:summary"; // UI clients that receive the master's windowed summaries
+const STREAM_ROOMS = { raw: RAW_ROOM, summary: SUMMARY_ROOM };
 
 /**
  * @class 									      - WebServer
  * @extends 								      - none
  * @param {number} nPort      				- The port number on which the server listens.
+ * @param {string} strAccessFilePath		- Path to the access file with the master token and the dashboard users.
  * @constructor
  * @summary 										- A simple web server using Express and Socket.IO to facilitate communication
  * 									   	  		  between the Master Node and UI clients.
  */
-function WebServer(nPort) 
+function WebServer(nPort, strAccessFilePath) 
 {
   let self = this;
   self._nPort = nPort;
+  self._access = new AccessControl(strAccessFilePath, CONFIG_PARAMS.SESSION_TTL_MS);
   self._app = express();
   self._httpServer = http.createServer(self._app);
   self._io = new Server(self._httpServer, {
@@ -23,6 +35,13 @@ function WebServer(nPort)
     },
   });
   self._masterSocket = null;
+  self._fleet = new FleetState(); // Last known state of every slave, served by the REST API
+  self._configStatus = null; // Last 'config-status' from the master
+  self._registrations = null; // Last 'slave-registrations' from the master: slaves waiting for approval
+  self._summary = null; // Last 'summary' from the master
+  self._bRawDemand = null; // Whether the master was last told that a UI client wants raw readings
+  self._exports = new Map(); // Running data exports: export ID -> handlers, see exportReadings
+  self._exportLinks = new Map(); // Unused download links: ticket -> { query, token, expiresAt }, see createExportLink
   logger.info("[WebServer] Initialized.");
 }
 
@@ -38,55 +57,21 @@ function WebServer(nPort)
 WebServer.prototype.setupListeners = function () {
   const self = this;
 
+  // Every client proves who it is in the handshake; the role decides what it may do
+  self._io.use(self.authenticateClient.bind(self));
+
   self._io.on("connection", (socket) => {
     try 
 	 {
-      logger.info("[WebServer] A client connected:", socket.id);
-      const clientType = socket.id;
-
-      if (clientType)
-		{
-        logger.info("[WebServer] Master Node has connected.");
-        self._masterSocket = socket;
-        self._masterSocket.emit("master-status", { status: "online" }); // Inform UI
-
-        socket.on("forward-data", (data) => {
-          try 
-			 {
-				
-            logger.info(`data to UI: ${JSON.stringify(data)}`);
-            self._masterSocket.emit("data-ui", data);
-          } 
-			 catch (err) 
-			 {
-            logger.error("[WebServer] Error:", err);
-          }
-        });
-
-        // Listen for control commands coming from a UI and forward to master
-        socket.on("control-slave", (command) => {
-          if (self._masterSocket)
-            self._masterSocket.emit("control-slave", command);
-        });
-
-        // When master disconnects
-        socket.on("disconnect", function () {
-          try 
-			 {
-            logger.info("[WebServer] Master Node has disconnected.");
-            self._masterSocket = null;
-            self._io.emit("master-status", { status: "offline" });
-          } 
-			 catch (err) 
-			 {
-            logger.error("[WebServer] err: ", err);
-          }
-        });
-      } 
-		else 
-		{
-        logger.info("[WebServer] A UI Dashboard client has connected.");
+      logger.info(`[WebServer] A client connected: ${socket.id} (${socket.data.username}, ${socket.data.role})`);
+
+      if (socket.data.role === "master")
+      {
+        self.handleMasterConnection(socket);
+        return;
       }
+      socket.join([UI_ROOM, RAW_ROOM]); // Raw readings, as before summaries existed, until the client subscribes
+      self.handleUiConnection(socket);
     } 
 	 catch (error) 
 	 {
@@ -95,6 +80,563 @@ WebServer.prototype.setupListeners = function () {
   });
 };
 
+/**
+ * @method											- authenticateClient
+ * @param {object} socket							- The connecting socket; 'auth' is { token } or { username, password }.
+ * @param {function} next							- Socket.IO middleware callback.
+ * @returns											- none
+ * @summary											- Socket.IO middleware: refuses unknown clients with 'unauthorized' and records
+ * 											  		  the role, user and session token of the others in socket.data.
+ * @date												- 19 - Oct - 2026
+ */
+WebServer.prototype.authenticateClient = function (socket, next) {
+  const self = this;
+  try
+  {
+    const identity = self._access.authenticate(socket.handshake.auth);
+    if (!identity)
+    {
+      logger.warn(`[WebServer] Refused client ${socket.id} from ${socket.handshake.address}`);
+      return next(new Error("unauthorized"));
+    }
+    socket.data.role = identity.role;
+    socket.data.username = identity.username;
+    socket.data.token = identity.token;
+    next();
+  }
+  catch (err)
+  {
+    logger.error("[WebServer] Error: ", err);
+    next(new Error("unauthorized"));
+  }
+};
+
+/**
+ * @method											- handleMasterConnection
+ * @param {object} socket							- The socket that identified itself as the Master Node.
+ * @returns											- none
+ * @summary											- Registers the master socket, relays its data to the UI clients and
+ * 											  		  reports its status changes.
+ * @date												- 19 - Oct - 2026
+ */
+WebServer.prototype.handleMasterConnection = function (socket) {
+  const self = this;
+  try
+  {
+    logger.info("[WebServer] Master Node has connected.");
+    self._masterSocket = socket;
+    self._io.to(UI_ROOM).emit("master-status", { status: "online" }); // Inform UI
+    self.reportStreamDemand(true);
+
+    socket.on("forward-data", (data) => {
+      try 
+      {
+        logger.info(`data to UI: ${JSON.stringify(data)}`);
+        self._fleet.applyPacket(data);
+        // Sensor readings only go to the clients subscribed to them; state and health packets go to every client
+        self._io.to(data.handler ? RAW_ROOM : UI_ROOM).emit("data-ui", data);
+      } 
+      catch (err) 
+      {
+        logger.error("[WebServer] Error:", err);
+      }
+    });
+
+    // Windowed aggregates of the readings; kept for clients that subscribe later and for the REST API
+    socket.on("summary", (summary) => {
+      try
+      {
+        self._summary = summary;
+        self._fleet.applySummary(summary);
+        self._io.to(SUMMARY_ROOM).emit("summary", summary);
+      }
+      catch (err)
+      {
+        logger.error("[WebServer] Error:", err);
+      }
+    });
+
+    // Slaves the master refused in the handshake
+    socket.on("slave-auth-rejected", (rejection) => {
+      logger.warn(`[WebServer] Master refused slave ${rejection.slaveId || "(no id)"} from ${rejection.address}: ${rejection.reason}`);
+      self._io.to(UI_ROOM).emit("slave-auth-rejected", rejection);
+    });
+
+    // Outcome of each load of the master's config file; kept for dashboards that connect later
+    socket.on("config-status", (status) => {
+      if (!status.ok) logger.warn(`[WebServer] Master rejected its configuration: ${status.errors.join(" | ")}`);
+      self._configStatus = status;
+      self._io.to(UI_ROOM).emit("config-status", status);
+    });
+
+    // Scheduled job runs, failures and missed runs
+    socket.on("schedule-event", (event) => {
+      if (event.type !== "run") logger.warn(`[WebServer] Scheduled job ${event.name || event.jobId}: ${event.type}`);
+      self._io.to(UI_ROOM).emit("schedule-event", event);
+    });
+
+    // Slaves waiting for approval and rejected slaves; kept for dashboards that connect later
+    socket.on("slave-registrations", (registrations) => {
+      self._registrations = registrations;
+      self._io.to(UI_ROOM).emit("slave-registrations", registrations);
+    });
+
+    // Chunks of the data exports requested through exportReadings
+    socket.on("export-chunk", (chunk, ack) => {
+      self.receiveExportChunk(chunk, ack);
+    });
+
+    // When master disconnects
+    socket.on("disconnect", function () {
+      try 
+      {
+        logger.info("[WebServer] Master Node has disconnected.");
+        if (self._masterSocket === socket) self._masterSocket = null;
+        // Running exports cannot be completed
+        self._exports.forEach((handlers) => handlers.onEnd({ error: "Master disconnected.", code: "master-offline" }));
+        self._exports.clear();
+        self._io.to(UI_ROOM).emit("master-status", { status: "offline" });
+      } 
+      catch (err) 
+      {
+        logger.error("[WebServer] err: ", err);
+      }
+    });
+  }
+  catch (err)
+  {
+    logger.error("[WebServer] Error: ", err);
+  }
+};
+
+/**
+ * @method											- handleUiConnection
+ * @param {object} socket							- The socket of a UI dashboard client.
+ * @returns											- none
+ * @summary											- Sends the session, the current master status and the fleet snapshot, and
+ * 											  		  relays the UI requests the client's role allows to the master.
+ * @date												- 19 - Oct - 2026
+ */
+WebServer.prototype.handleUiConnection = function (socket) {
+  const self = this;
+  try
+  {
+    logger.info("[WebServer] A UI Dashboard client has connected.");
+    socket.emit("session", {
+      username: socket.data.username,
+      role: socket.data.role,
+      permissions: ROLE_PERMISSIONS[socket.data.role],
+    });
+    socket.emit("master-status", { status: self.getMasterStatus() });
+    // Sent before the client gets any live packet, which then update the snapshot
+    socket.emit("fleet-snapshot", self.getFleetSnapshot());
+    if (self._configStatus) socket.emit("config-status", self._configStatus);
+    if (self._registrations) socket.emit("slave-registrations", self._registrations);
+    self.reportStreamDemand(false); // The client joined the raw stream
+
+    // Listen for control commands coming from a UI and forward to master; the outcome comes back in the ack
+    socket.on("control-slave", (command, ack) => {
+      if (!self._access.can(socket.data.role, "control"))
+      {
+        logger.warn(`[WebServer] ${socket.data.username} (${socket.data.role}) may not send control commands`);
+        if (typeof ack === "function")
+        {
+          ack({
+            commandId: null,
+            slaveId: command && command.slaveId,
+            action: command && command.action,
+            outcome: "forbidden",
+            message: `Role '${socket.data.role}' may not send control commands.`,
+          });
+        }
+        return;
+      }
+      self.sendControl(command, (result) => {
+        if (typeof ack === "function") ack(result);
+      });
+    });
+
+    socket.on("history-query", (query, ack) => {
+      self.relayToMaster("history-query", query, ack);
+    });
+
+    // Configuration history; everyone may read it, rolling back needs the 'config' permission
+    socket.on("config-history", (request, ack) => {
+      const objRequest = Object.assign({}, request);
+      if (objRequest.action === "rollback")
+      {
+        if (!self._access.can(socket.data.role, "config"))
+        {
+          if (typeof ack === "function") ack({ error: `Role '${socket.data.role}' may not change the configuration.`, code: "forbidden" });
+          return;
+        }
+        objRequest.author = socket.data.username; // Recorded in the history, not taken from the client
+      }
+      self.relayToMaster("config-history", objRequest, ack);
+    });
+
+    // Configuration editor; everyone may read and preview, saving needs the 'config' permission
+    socket.on("master-config", (request, ack) => {
+      const objRequest = Object.assign({}, request);
+      if (objRequest.action === "save")
+      {
+        if (!self._access.can(socket.data.role, "config"))
+        {
+          if (typeof ack === "function") ack({ error: `Role '${socket.data.role}' may not change the configuration.`, code: "forbidden" });
+          return;
+        }
+        objRequest.author = socket.data.username;
+      }
+      self.relayToMaster("master-config", objRequest, ack);
+    });
+
+    // Scheduled jobs; everyone may read them, changing them needs the 'control' permission, and 'config' too for
+    // jobs that switch the configuration version
+    socket.on("schedule", (request, ack) => {
+      const objRequest = Object.assign({}, request);
+      if (objRequest.action !== "list")
+      {
+        const strDenied = self.checkScheduleAccess(socket.data.role, objRequest);
+        if (strDenied)
+        {
+          if (typeof ack === "function") ack({ error: strDenied, code: "forbidden" });
+          return;
+        }
+        objRequest.author = socket.data.username;
+      }
+      self.relayToMaster("schedule", objRequest, ack);
+    });
+
+    // Approval queue; everyone may read it, approving and rejecting need the 'config' permission
+    socket.on("slave-registration", (request, ack) => {
+      const objRequest = Object.assign({}, request);
+      if (objRequest.action === "approve" || objRequest.action === "reject")
+      {
+        if (!self._access.can(socket.data.role, "config"))
+        {
+          if (typeof ack === "function") ack({ error: `Role '${socket.data.role}' may not approve or reject slaves.`, code: "forbidden" });
+          return;
+        }
+        objRequest.author = socket.data.username;
+      }
+      self.relayToMaster("slave-registration", objRequest, ack);
+    });
+
+    // { streams: ["raw", "summary"] } chooses what the client receives; the ack carries the streams now subscribed
+    socket.on("subscribe", (request, ack) => {
+      const result = self.subscribeStreams(socket, request && request.streams);
+      if (typeof ack === "function") ack(result);
+    });
+
+    socket.on("disconnect", () => {
+      self.reportStreamDemand(false);
+    });
+  }
+  catch (err)
+  {
+    logger.error("[WebServer] Error: ", err);
+  }
+};
+
+/**
+ * @method											- subscribeStreams
+ * @param {object} socket							- The socket of a UI dashboard client.
+ * @param {string[]} streams						- The streams the client wants: 'raw', 'summary', both or none.
+ * @returns {object}								- { streams } now subscribed, or { error } for an unknown stream.
+ * @summary											- Moves the client in and out of the stream rooms, sends it the last summary
+ * 											  		  when it starts following them, and tells the master whether raw readings
+ * 											  		  are still wanted.
+ * @date												- 19 - Oct - 2026
+ */
+WebServer.prototype.subscribeStreams = function (socket, streams) {
+  const self = this;
+  if (!Array.isArray(streams) || streams.some((strStream) => !STREAM_ROOMS[strStream]))
+  {
+    return { error: `'streams' must list some of: ${Object.keys(STREAM_ROOMS).join(", ")}.` };
+  }
+  const bHadSummary = socket.rooms.has(SUMMARY_ROOM);
+  Object.keys(STREAM_ROOMS).forEach((strStream) => {
+    if (streams.includes(strStream)) socket.join(STREAM_ROOMS[strStream]);
+    else socket.leave(STREAM_ROOMS[strStream]);
+  });
+  if (!bHadSummary && socket.rooms.has(SUMMARY_ROOM) && self._summary) socket.emit("summary", self._summary);
+  logger.info(`[WebServer] ${socket.data.username} subscribed to: ${streams.join(", ") || "no streams"}`);
+  self.reportStreamDemand(false);
+  return { streams: Object.keys(STREAM_ROOMS).filter((strStream) => socket.rooms.has(STREAM_ROOMS[strStream])) };
+};
+
+/**
+ * @method											- reportStreamDemand
+ * @param {boolean} bForce							- Tell the master even if nothing changed, e.g. when it connects.
+ * @returns											- none
+ * @summary											- Tells the master whether any UI client wants the raw readings, so it
+ * 											  		  stops forwarding them when only summaries are followed.
+ * @date												- 19 - Oct - 2026
+ */
+WebServer.prototype.reportStreamDemand = function (bForce) {
+  const self = this;
+  const rawRoom = self._io.sockets.adapter.rooms.get(RAW_ROOM);
+  const bRaw = !!rawRoom && rawRoom.size > 0;
+  if (!bForce && bRaw === self._bRawDemand) return;
+  self._bRawDemand = bRaw;
+  if (self._masterSocket) self._masterSocket.emit("stream-demand", { raw: bRaw });
+};
+
+/**
+ * @method											- checkScheduleAccess
+ * @param {string} strRole							- The client's role.
+ * @param {object} request							- A 'schedule' request that changes the schedule.
+ * @returns {string|null}							- Why the role may not send it, or null if it may.
+ * @summary											- Changing jobs needs the 'control' permission; creating or changing a
+ * 											  		  configuration switch job needs 'config' as well.
+ * @date												- 19 - Oct - 2026
+ */
+WebServer.prototype.checkScheduleAccess = function (strRole, request) {
+  const self = this;
+  if (!self._access.can(strRole, "control"))
+  {
+    return `Role '${strRole}' may not change scheduled jobs.`;
+  }
+  const strKind = (request.job && request.job.kind) || (request.changes && request.changes.kind);
+  if (strKind === "config-version" && !self._access.can(strRole, "config"))
+  {
+    return `Role '${strRole}' may not schedule configuration changes.`;
+  }
+  return null;
+};
+
+/**
+ * @method											- relayToMaster
+ * @param {string} strEvent						- The event to emit to the master.
+ * @param {object} payload							- The request payload.
+ * @param {function} ack							- Called with the master's answer, or { error, code } with code
+ * 											  		  'master-offline' or 'timeout'.
+ * @returns											- none
+ * @summary											- Forwards a request to the master and routes its acknowledgement back.
+ * @date												- 19 - Oct - 2026
+ */
+WebServer.prototype.relayToMaster = function (strEvent, payload, ack) {
+  const self = this;
+  try
+  {
+    if (typeof ack !== "function") return;
+    if (!self._masterSocket)
+    {
+      return ack({ error: "Master is offline.", code: "master-offline" });
+    }
+    self._masterSocket.timeout(CONFIG_PARAMS.MASTER_REQUEST_TIMEOUT_MS).emit(strEvent, payload, (err, response) => {
+      ack(err ? { error: "Master did not answer in time.", code: "timeout" } : response);
+    });
+  }
+  catch (err)
+  {
+    logger.error("[WebServer] Error: ", err);
+    ack({ error: err.message });
+  }
+};
+
+/**
+ * @method											- sendControl
+ * @param {object} command							- { slaveId, action, ...params }, or { tag, action, ...params } for every
+ * 											  		  slave with the tag (see MasterNode.sendControlToTag).
+ * @param {function} callback						- Called with the result { commandId, slaveId, action, outcome, ... }.
+ * 											  		  outcome is 'success', 'unknown-action', 'error', 'slave-offline',
+ * 											  		  'timeout' or 'master-offline'; tag commands answer { commandId, tag,
+ * 											  		  action, outcome, results } with one result per slave, and outcome
+ * 											  		  'partial' or 'not-found' too.
+ * @returns {string}								- The command ID.
+ * @summary											- Gives a control command an ID and forwards it to the master, which
+ * 											  		  acknowledges it once the slave has.
+ * @date												- 19 - Oct - 2026
+ */
+WebServer.prototype.sendControl = function (command, callback) {
+  const self = this;
+  const objCommand = Object.assign({ commandId: randomUUID() }, command);
+  self.relayToMaster("control-slave", objCommand, (result) => {
+    if (result.error)
+    {
+      result = {
+        commandId: objCommand.commandId,
+        slaveId: objCommand.slaveId,
+        tag: objCommand.tag,
+        action: objCommand.action,
+        outcome: result.code === "master-offline" ? "master-offline" : "timeout",
+        message: result.error,
+      };
+    }
+    const strTarget = objCommand.tag !== undefined ? `tag '${objCommand.tag}'` : objCommand.slaveId;
+    logger.info(`[WebServer] Command ${objCommand.commandId} '${objCommand.action}' for ${strTarget}: ${result.outcome}`);
+    callback(result);
+  });
+  return objCommand.commandId;
+};
+
+/**
+ * @method											- exportReadings
+ * @param {object} filter							- { slaveId?, handler?, from?, to? }
+ * @param {object} handlers							- onStart() once the master has started the export; onRecords(records, fnNext)
+ * 											  		  for each chunk, where fnNext(bContinue) asks for the next one or cancels the
+ * 											  		  export; onEnd(failure, nCount) at the end, with failure null or { error, code }.
+ * @returns {string}								- The export ID.
+ * @summary											- Has the master stream the matching sensor readings, chunk by chunk, so an export
+ * 											  		  of any size moves at the pace the receiver takes it.
+ * @date											- 19 - Oct - 2026
+ */
+WebServer.prototype.exportReadings = function (filter, handlers) {
+  const self = this;
+  const strExportId = randomUUID();
+  self._exports.set(strExportId, handlers);
+  self.relayToMaster("export-readings", Object.assign({ exportId: strExportId }, filter), (response) => {
+    if (!response.error) return handlers.onStart();
+    self._exports.delete(strExportId);
+    handlers.onEnd(response, 0);
+  });
+  return strExportId;
+};
+
+/**
+ * @method											- receiveExportChunk
+ * @param {object} chunk							- { exportId, records, done, count?, error? } from the master.
+ * @param {function} ack							- Answered with { cancel } once the chunk is handled.
+ * @returns											- none
+ * @summary											- Hands a chunk of a running export to its handlers.
+ * @date											- 19 - Oct - 2026
+ */
+WebServer.prototype.receiveExportChunk = function (chunk, ack) {
+  const self = this;
+  try
+  {
+    if (typeof ack !== "function") return;
+    const handlers = self._exports.get(chunk && chunk.exportId);
+    if (!handlers)
+    {
+      return ack({ cancel: true }); // Ended here already, e.g. the request timed out
+    }
+    if (chunk.done)
+    {
+      self._exports.delete(chunk.exportId);
+      ack({ cancel: false });
+      handlers.onRecords(chunk.records || [], () => {
+        handlers.onEnd(chunk.error ? { error: chunk.error } : null, chunk.count);
+      });
+      return;
+    }
+    handlers.onRecords(chunk.records || [], (bContinue) => {
+      if (!bContinue) self._exports.delete(chunk.exportId);
+      ack({ cancel: !bContinue });
+    });
+  }
+  catch (err)
+  {
+    logger.error("[WebServer] Error: ", err);
+    if (typeof ack === "function") ack({ cancel: true });
+  }
+};
+
+/**
+ * @method											- createExportLink
+ * @param {object} query							- The GET /export filter { format?, slaveId?, handler?, from?, to? }.
+ * @param {string} strToken							- The session token of the user asking for the link.
+ * @returns {object}								- { ticket, expiresAt }
+ * @summary											- Creates a one-time ticket for GET /export that lives EXPORT_LINK_TTL_MS. A browser
+ * 											  		  can follow the link itself, so the file streams to disk instead of into a page.
+ * @date											- 19 - Oct - 2026
+ */
+WebServer.prototype.createExportLink = function (query, strToken) {
+  const self = this;
+  const now = Date.now();
+  // Drop the links nobody used
+  self._exportLinks.forEach((link, strTicket) => {
+    if (link.expiresAt <= now) self._exportLinks.delete(strTicket);
+  });
+  const strTicket = randomBytes(32).toString("hex");
+  const nExpiresAt = now + CONFIG_PARAMS.EXPORT_LINK_TTL_MS;
+  self._exportLinks.set(strTicket, { query: query, token: strToken, expiresAt: nExpiresAt });
+  return { ticket: strTicket, expiresAt: new Date(nExpiresAt).toISOString() };
+};
+
+/**
+ * @method											- redeemExportLink
+ * @param {string} strTicket						- A ticket from createExportLink.
+ * @returns {object|null}							- { query, identity }, or null if the ticket is unknown, used or expired, or
+ * 											  		  the session that asked for it ended or may no longer read.
+ * @summary											- Uses up a download link.
+ * @date											- 19 - Oct - 2026
+ */
+WebServer.prototype.redeemExportLink = function (strTicket) {
+  const self = this;
+  const link = self._exportLinks.get(String(strTicket));
+  if (!link) return null;
+  self._exportLinks.delete(String(strTicket));
+  if (link.expiresAt <= Date.now()) return null;
+  const identity = self._access.authenticate({ token: link.token });
+  if (!identity || !self._access.can(identity.role, "read")) return null;
+  return { query: link.query, identity: identity };
+};
+
+/**
+ * @method											- endSession
+ * @param {string} strToken						- The session token.
+ * @returns {boolean}								- False if there was no such session.
+ * @summary											- Logs a user out and disconnects the dashboards using the session.
+ * @date												- 19 - Oct - 2026
+ */
+WebServer.prototype.endSession = function (strToken) {
+  const self = this;
+  const bEnded = self._access.logout(strToken);
+  self._io.sockets.sockets.forEach((socket) => {
+    if (socket.data.token === strToken) socket.disconnect(true);
+  });
+  return bEnded;
+};
+
+/**
+ * @method											- getMasterStatus
+ * @param											- none
+ * @returns {string}								- 'online' or 'offline'.
+ * @summary											- Reports whether the master is connected.
+ * @date												- 19 - Oct - 2026
+ */
+WebServer.prototype.getMasterStatus = function () {
+  const self = this;
+  return self._masterSocket ? "online" : "offline";
+};
+
+/**
+ * @method											- getFleetSnapshot
+ * @param											- none
+ * @returns {object}								- { master, slaves, timestamp }: the master status and every known
+ * 											  		  slave with its status, last-seen time, health and last handler values.
+ * @summary											- The last known state of the fleet, so a dashboard that connects does not
+ * 											  		  have to wait for new packets.
+ * @date												- 19 - Oct - 2026
+ */
+WebServer.prototype.getFleetSnapshot = function () {
+  const self = this;
+  return { master: self.getMasterStatus(), slaves: self._fleet.listSlaves(), timestamp: new Date().toISOString() };
+};
+
+/**
+ * @method											- setupRoutes
+ * @param											- none
+ * @returns											- none
+ * @summary											- Mounts the REST API on '/api'.
+ * @date												- 19 - Oct - 2026
+ */
+WebServer.prototype.setupRoutes = function () {
+  const self = this;
+
+  // Same policy as Socket.IO: any origin may call the API
+  self._app.use("/api", (req, res, next) => {
+    res.set("Access-Control-Allow-Origin", "*");
+    res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+    res.set("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+    if (req.method === "OPTIONS") return res.sendStatus(204);
+    next();
+  });
+  self._app.use("/api", createApiRouter(self));
+};
+
 /**
  * @method											- start
  * @param											- none
@@ -106,6 +648,7 @@ WebServer.prototype.setupListeners = function () {
 
 WebServer.prototype.start = function () {
   let self = this;
+  self.setupRoutes();
   self.setupListeners();
 
   self._httpServer.listen(self._nPort, () => {
@@ -0,0 +1,38 @@
+const path = require("path");
+const { AccessControl } = require("./AccessControl");
+const { CONFIG_PARAMS: config } = require("../config/Config");
+
+// Usage: node addUser.js <username> <viewer|operator|admin> <password>  - add a user or change its role / password
+//        node addUser.js <username> --remove                            - remove a user
+(() => {
+  const [strUsername, strRole, strPassword] = process.argv.slice(2);
+  const access = new AccessControl(path.join(__dirname, "access.json"), config.SESSION_TTL_MS);
+
+  if (strUsername && strRole === "--remove")
+  {
+    if (!access.removeUser(strUsername))
+    {
+      console.error(`User ${strUsername} does not exist.`);
+      process.exit(1);
+    }
+    console.log(`Removed user ${strUsername}.`);
+    return;
+  }
+  if (!strUsername || !strRole || !strPassword)
+  {
+    console.error("Usage: node addUser.js <username> <viewer|operator|admin> <password>");
+    console.error("       node addUser.js <username> --remove");
+    process.exit(1);
+  }
+
+  try
+  {
+    access.setUser(strUsername, strRole, strPassword);
+    console.log(`Saved user ${strUsername} (${strRole}).`);
+  }
+  catch (err)
+  {
+    console.error(err.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,28 @@
+const fs = require("fs");
+const path = require("path");
+const { AccessControl } = require("./AccessControl");
+const { CONFIG_PARAMS: config } = require("../config/Config");
+
+// Usage: node createMasterToken.js               - create (or rotate) the token the master presents
+//        node createMasterToken.js --out <file>  - the same, and write the master's token file
+// Token files hold secrets and are not committed; see the *.example.json files for their format
+(() => {
+  const [strFlag, strOutPath] = process.argv.slice(2);
+  if (strFlag !== undefined && (strFlag !== "--out" || !strOutPath))
+  {
+    console.error("Usage: node createMasterToken.js [--out <master token file>]");
+    process.exit(1);
+  }
+
+  const access = new AccessControl(path.join(__dirname, "access.json"), config.SESSION_TTL_MS);
+  const token = access.rotateMasterToken();
+  const strTokenFile = JSON.stringify({ token: token }, null, 2);
+  if (strFlag === "--out")
+  {
+    fs.writeFileSync(strOutPath, strTokenFile + "\n", { mode: 0o600 });
+    console.log(`Created the master token. Wrote the master's token file ${strOutPath}.`);
+    return;
+  }
+  console.log("Created the master token. Put this in master/webserver_token.json:");
+  console.log(strTokenFile);
+})();
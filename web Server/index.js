@@ -1,9 +1,11 @@
+const path = require("path");
 const {WebServer} = require("./WebServer");
 const {CONFIG_PARAMS: config} = require("../config/Config");
 
 (() => {
   const webServer = new WebServer(
-    config.WEBSERVER_PORT
+    config.WEBSERVER_PORT,
+    path.join(__dirname, "access.json")
   );
   webServer.start();
 })();
\ No newline at end of file